@@ -0,0 +1,188 @@
+/**
+ * Query Accounting
+ * Attributes every query to the resource that called the export and to the query's
+ * fingerprint (the SQL with literals and placeholder lists collapsed), so a lagging
+ * server can be traced to the resource and statement responsible.
+ *
+ * Per resource and per resource+fingerprint: query, error and row counts, total and
+ * maximum time, and latency percentiles (p50/p95/p99) over the most recent samples.
+ */
+
+// Recent durations kept for percentiles
+const RESOURCE_SAMPLES = 1024;
+const FINGERPRINT_SAMPLES = 256;
+
+// Distinct fingerprints tracked; the least used are dropped beyond this
+const MAX_FINGERPRINTS = Math.max(10, parseInt(GetConvar('mysql_stats_max_fingerprints', '500')) || 500);
+
+/**
+ * Reduce a query to its shape: comments removed, literals and placeholders replaced
+ * by ?, IN lists and multi-row VALUES collapsed, whitespace normalized
+ * @param {string} sql - Query text
+ * @returns {string} Fingerprint
+ */
+function queryFingerprint(sql) {
+    return String(sql)
+        .replace(/\/\*[\s\S]*?\*\/|--[^\n]*|#[^\n]*/g, ' ')
+        .replace(/'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"/g, '?')
+        .replace(/\b0x[0-9a-f]+\b|(?<![\w`$])-?\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/gi, '?')
+        .replace(/\s+/g, ' ')
+        .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '(?+)')
+        .replace(/(\(\?\+\))(?:\s*,\s*\(\?\+\))+/g, '$1+')
+        .trim()
+        .slice(0, 1000);
+}
+
+/**
+ * Counters and a ring buffer of recent durations
+ */
+class Bucket {
+    constructor(sampleSize) {
+        this.queries = 0;
+        this.errors = 0;
+        this.rows = 0;
+        this.totalTime = 0;
+        this.maxTime = 0;
+        this.lastSeen = 0;
+        this.samples = new Float64Array(sampleSize);
+        this.sampleCount = 0;
+    }
+
+    add(duration, rows, failed) {
+        this.queries++;
+        this.totalTime += duration;
+        this.rows += rows;
+        this.lastSeen = Date.now();
+        if (failed) this.errors++;
+        if (duration > this.maxTime) this.maxTime = duration;
+        this.samples[this.sampleCount % this.samples.length] = duration;
+        this.sampleCount++;
+    }
+
+    toJSON() {
+        const sorted = Array.from(this.samples.subarray(0, Math.min(this.sampleCount, this.samples.length))).sort((a, b) => a - b);
+        const percentile = (p) => (sorted.length === 0 ? 0 : roundMs(sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)]));
+        return {
+            queries: this.queries,
+            errors: this.errors,
+            rows: this.rows,
+            totalTime: roundMs(this.totalTime),
+            averageTime: this.queries > 0 ? roundMs(this.totalTime / this.queries) : 0,
+            p50: percentile(0.5),
+            p95: percentile(0.95),
+            p99: percentile(0.99),
+            maxTime: roundMs(this.maxTime)
+        };
+    }
+}
+
+function roundMs(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class QueryAccounting {
+    constructor() {
+        this.resources = new Map();     // resource -> Bucket
+        this.fingerprints = new Map();  // "resource\0fingerprint" -> { resource, connection, fingerprint, bucket }
+        this.since = Date.now();
+    }
+
+    /**
+     * Record one executed statement
+     * @param {string} [resource] - Calling resource (default: this resource, for internal queries)
+     * @param {string} connection - Connection name
+     * @param {string} sql - Query text (as sent, with placeholders)
+     * @param {number} duration - Milliseconds
+     * @param {Array|Object|number} [result] - Rows returned, a write's ResultSetHeader, or a row count
+     * @param {boolean} [failed] - Whether the statement failed
+     */
+    record(resource, connection, sql, duration, result = null, failed = false) {
+        const name = resource || GetCurrentResourceName();
+        const rows = typeof result === 'number' ? result
+            : Array.isArray(result) ? result.length
+                : (result && result.affectedRows) || 0;
+        let bucket = this.resources.get(name);
+        if (!bucket) {
+            bucket = new Bucket(RESOURCE_SAMPLES);
+            this.resources.set(name, bucket);
+        }
+        bucket.add(duration, rows, failed);
+
+        const print = queryFingerprint(sql);
+        const key = `${name}\u0000${print}`;
+        let entry = this.fingerprints.get(key);
+        if (!entry) {
+            if (this.fingerprints.size >= MAX_FINGERPRINTS) {
+                this.evict();
+            }
+            entry = { resource: name, connection, fingerprint: print, bucket: new Bucket(FINGERPRINT_SAMPLES) };
+            this.fingerprints.set(key, entry);
+        }
+        entry.bucket.add(duration, rows, failed);
+    }
+
+    /**
+     * Drop the tenth of fingerprints with the least total time
+     */
+    evict() {
+        const entries = [...this.fingerprints].sort(([, a], [, b]) => a.bucket.totalTime - b.bucket.totalTime);
+        for (const [key] of entries.slice(0, Math.ceil(entries.length / 10))) {
+            this.fingerprints.delete(key);
+        }
+    }
+
+    /**
+     * Per-resource statistics
+     * @param {number} [topQueries] - Fingerprints listed per resource, by total time
+     * @returns {Object} resource -> stats with a `topQueries` list of fingerprint stats
+     */
+    getStats(topQueries = 10) {
+        const byResource = {};
+        for (const [name, bucket] of this.resources) {
+            byResource[name] = { ...bucket.toJSON(), topQueries: [] };
+        }
+        for (const entry of this.topFingerprints()) {
+            const target = byResource[entry.resource];
+            if (target && target.topQueries.length < topQueries) {
+                target.topQueries.push(entry);
+            }
+        }
+        return byResource;
+    }
+
+    /**
+     * Fingerprint statistics across all resources, sorted by a metric
+     * @param {string} [sortBy] - 'totalTime' (default), 'queries', 'errors', 'rows', 'p95', 'p99', 'averageTime', 'maxTime'
+     * @returns {Array<Object>}
+     */
+    topFingerprints(sortBy = 'totalTime') {
+        return [...this.fingerprints.values()]
+            .map((entry) => ({ resource: entry.resource, connection: entry.connection, fingerprint: entry.fingerprint, ...entry.bucket.toJSON() }))
+            .sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0));
+    }
+
+    /**
+     * Resources sorted by a metric
+     */
+    topResources(sortBy = 'totalTime') {
+        return [...this.resources]
+            .map(([name, bucket]) => ({ resource: name, ...bucket.toJSON() }))
+            .sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0));
+    }
+
+    /**
+     * Fingerprint of a query (see queryFingerprint)
+     */
+    fingerprint(sql) {
+        return queryFingerprint(sql);
+    }
+
+    reset() {
+        this.resources.clear();
+        this.fingerprints.clear();
+        this.since = Date.now();
+    }
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlAccounting = new QueryAccounting();
@@ -0,0 +1,390 @@
+/**
+ * Query Audit and Redaction
+ * Keeps secrets out of everything ingenium.sql writes about a query: console errors,
+ * the ingenium.sql:SlowQuery and ig:sql:queryExecuted events, the slow query log and
+ * the audit log. A value is replaced by [REDACTED] when
+ * - the column it is bound to (`password = ?`, `token IN (?, ?)`, the column list of
+ *   an INSERT, the key of a named parameter) matches mysql_redact_columns, or
+ * - it matches mysql_redact_values (by default FiveM player identifiers such as
+ *   license:..., discord:... and steam:...)
+ * Placeholders and quoted literals in the query text are both covered.
+ *
+ * The audit log (mysql_audit_log, off by default) records every write statement -
+ * caller resource, connection, redacted query and parameters, affected rows,
+ * duration and error - in a rotating JSON Lines file that getAuditLog can search.
+ */
+
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_REDACT_COLUMNS = '*password*,*passwd*,*secret*,*token*,*apikey*,*api_key*,license*,discord*,steam*,fivem*,hwid*,ip,ip_address';
+const DEFAULT_REDACT_VALUES = '\\b(?:license2?|discord|steam|fivem|xbl|live|ip):[^\\s\'",;)]+';
+
+const REDACT_COLUMNS = compileColumnRule(GetConvar('mysql_redact_columns', DEFAULT_REDACT_COLUMNS));
+const REDACT_VALUES = compileValueRule(GetConvar('mysql_redact_values', DEFAULT_REDACT_VALUES));
+
+const AUDIT_LOG_FILE = GetConvar('mysql_audit_log', '');
+const AUDIT_LOG_MAX_SIZE = Math.max(0.01, parseFloat(GetConvar('mysql_audit_log_max_size', '10')) || 10);
+const AUDIT_LOG_FILES = Math.max(0, parseInt(GetConvar('mysql_audit_log_files', '5')) || 0);
+
+// Statements written to the audit log
+const AUDITED_TYPES = new Set([
+    'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'CALL', 'LOAD',
+    'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'GRANT', 'REVOKE'
+]);
+
+// Queries whose placeholder columns are remembered
+const SCAN_CACHE_MAX_SIZE = 500;
+
+const COMPARISON = /^(?:=|<=>|<>|!=|<=|>=|<|>)$/;
+
+/**
+ * Compile "*password*,token,license*" into one case-insensitive regex
+ * @returns {RegExp|null} null when no patterns are set
+ */
+function compileColumnRule(value) {
+    const patterns = String(value)
+        .split(',')
+        .map((pattern) => pattern.trim().replace(/[`"']/g, ''))
+        .filter(Boolean)
+        .map((pattern) => pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*'));
+    return patterns.length > 0 ? new RegExp(`^(?:${patterns.join('|')})$`, 'i') : null;
+}
+
+/**
+ * Compile the value pattern; an invalid pattern disables value redaction with a warning
+ * @returns {RegExp|null} Global regex, or null
+ */
+function compileValueRule(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return new RegExp(value, 'gi');
+    } catch (error) {
+        console.log(`^3[ig.sql WARNING] Invalid mysql_redact_values pattern, value redaction disabled: ${error.message}^7`);
+        return null;
+    }
+}
+
+/**
+ * Split a query into the tokens needed to tell which column each value is bound to
+ * Comments are dropped, backticked names become words and `.` is ignored, so
+ * `u`.`password` ends in the word `password`.
+ * @returns {Array<Object>} { kind: word|value|op|open|close|comma|other, text, start, end }
+ */
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (/\s|\./.test(char)) {
+            i++;
+        } else if ((char === '-' && next === '-') || char === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+        } else if (char === '\'' || char === '"' || char === '`') {
+            let end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === '\\' && char !== '`') {
+                    end += 2;
+                } else if (sql[end] === char && sql[end + 1] === char) {
+                    end += 2;
+                } else if (sql[end] === char) {
+                    break;
+                } else {
+                    end++;
+                }
+            }
+            end = Math.min(end + 1, sql.length);
+            tokens.push(char === '`'
+                ? { kind: 'word', text: sql.substring(i + 1, end - 1), start: i, end }
+                : { kind: 'value', text: sql.substring(i + 1, end - 1), start: i, end, literal: true });
+            i = end;
+        } else if (char === '?') {
+            tokens.push({ kind: 'value', text: '?', start: i, end: i + 1, literal: false });
+            i++;
+        } else if (/[\w$]/.test(char)) {
+            const match = /^[\w$]+/.exec(sql.substring(i, i + 256));
+            tokens.push({ kind: 'word', text: match[0], start: i, end: i + match[0].length });
+            i += match[0].length;
+        } else if (/[<>=!]/.test(char)) {
+            const match = /^(?:<=>|<>|!=|<=|>=|=|<|>|!)/.exec(sql.substring(i, i + 3));
+            tokens.push({ kind: 'op', text: match[0], start: i, end: i + match[0].length });
+            i += match[0].length;
+        } else {
+            const kind = char === '(' ? 'open' : char === ')' ? 'close' : char === ',' ? 'comma' : 'other';
+            tokens.push({ kind, text: char, start: i, end: i + 1 });
+            i++;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Work out the column each placeholder and string literal is bound to
+ * @param {string} sql - Query text
+ * @returns {{ placeholders: Array<string|null>, literals: Array<{ start, end, text, column }> }}
+ */
+function scanQuery(sql) {
+    const tokens = tokenize(sql);
+    const placeholders = [];
+    const literals = [];
+    const stack = [];          // Open parentheses: { column } or { tuple, index } or { columnList }
+    let insertColumns = [];
+    let expectColumnList = false;
+    let lastClosed = null;
+
+    const word = (token) => (token && token.kind === 'word' ? token.text.toUpperCase() : null);
+
+    // Column a value at this position is compared with, assigned to or inserted into
+    const columnAt = (position) => {
+        const previous = tokens[position - 1];
+        if (previous && previous.kind === 'op' && COMPARISON.test(previous.text)) {
+            return word(tokens[position - 2]) ? tokens[position - 2].text : null;
+        }
+        if (word(previous) === 'LIKE') {
+            const before = word(tokens[position - 2]) === 'NOT' ? tokens[position - 3] : tokens[position - 2];
+            return word(before) ? before.text : null;
+        }
+        const context = stack[stack.length - 1];
+        if (!context) {
+            return null;
+        }
+        return context.tuple ? insertColumns[context.index] || null : context.column || null;
+    };
+
+    tokens.forEach((token, position) => {
+        const previous = tokens[position - 1];
+        const context = stack[stack.length - 1];
+
+        switch (token.kind) {
+            case 'word': {
+                const upper = token.text.toUpperCase();
+                if (upper === 'INSERT' || upper === 'REPLACE') {
+                    insertColumns = [];
+                    expectColumnList = true;
+                } else if (context && context.columnList) {
+                    insertColumns.push(token.text);
+                } else if (stack.length === 0 && (upper === 'VALUES' || upper === 'VALUE' || upper === 'SELECT' || upper === 'SET')) {
+                    expectColumnList = false;
+                }
+                break;
+            }
+            case 'value': {
+                const column = columnAt(position);
+                if (token.literal) {
+                    literals.push({ start: token.start, end: token.end, text: token.text, column });
+                } else {
+                    placeholders.push(column);
+                }
+                break;
+            }
+            case 'open': {
+                const upper = word(previous);
+                if (upper === 'IN') {
+                    const before = word(tokens[position - 2]) === 'NOT' ? tokens[position - 3] : tokens[position - 2];
+                    stack.push({ column: word(before) ? before.text : null });
+                } else if (expectColumnList && stack.length === 0 && upper) {
+                    expectColumnList = false;
+                    stack.push({ columnList: true });
+                } else if (stack.length === 0 && (upper === 'VALUES' || upper === 'VALUE'
+                    || (previous && previous.kind === 'comma' && lastClosed && lastClosed.tuple))) {
+                    stack.push({ tuple: true, index: 0 });
+                } else {
+                    // Function call or grouping: takes the column of its own position
+                    stack.push({ column: columnAt(upper ? position - 1 : position) });
+                }
+                break;
+            }
+            case 'close':
+                lastClosed = stack.pop() || null;
+                break;
+            case 'comma':
+                if (context && context.tuple) {
+                    context.index++;
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    return { placeholders, literals };
+}
+
+/**
+ * Affected rows and insert ID of a write result (summed over multi-statement results)
+ */
+function writeSummary(result) {
+    const headers = (Array.isArray(result) ? result : [result])
+        .filter((header) => header && typeof header === 'object' && typeof header.affectedRows === 'number');
+    if (headers.length === 0) {
+        return {};
+    }
+    const summary = { affectedRows: headers.reduce((sum, header) => sum + header.affectedRows, 0) };
+    const inserted = headers.find((header) => header.insertId);
+    if (inserted) {
+        summary.insertId = inserted.insertId;
+    }
+    return summary;
+}
+
+class QueryAudit {
+    constructor() {
+        this.scans = new Map();   // query -> scanQuery result
+        this.file = AUDIT_LOG_FILE
+            ? new global.sqlLogFile.RotatingLogFile(AUDIT_LOG_FILE, { maxBytes: AUDIT_LOG_MAX_SIZE * 1024 * 1024, maxFiles: AUDIT_LOG_FILES })
+            : null;
+    }
+
+    get redacting() {
+        return REDACT_COLUMNS !== null || REDACT_VALUES !== null;
+    }
+
+    scan(sql) {
+        let result = this.scans.get(sql);
+        if (!result) {
+            result = scanQuery(sql);
+            if (this.scans.size >= SCAN_CACHE_MAX_SIZE) {
+                this.scans.delete(this.scans.keys().next().value);
+            }
+            this.scans.set(sql, result);
+        }
+        return result;
+    }
+
+    /**
+     * Whether a value bound to a column must be hidden
+     * @param {*} value - Parameter or literal value
+     * @param {string|null} [column] - Column or parameter name it is bound to
+     * @returns {boolean}
+     */
+    isSensitive(value, column) {
+        if (column && REDACT_COLUMNS && REDACT_COLUMNS.test(column)) {
+            return true;
+        }
+        if (typeof value === 'string' && REDACT_VALUES) {
+            REDACT_VALUES.lastIndex = 0;
+            return REDACT_VALUES.test(value);
+        }
+        return false;
+    }
+
+    /**
+     * Copy of the parameters with sensitive values replaced
+     * @param {string} sql - Query the parameters belong to
+     * @param {Array|Object} parameters - Positional array or named parameter table
+     * @returns {Array|Object} Redacted copy (the input itself when nothing applies)
+     */
+    redactParameters(sql, parameters) {
+        if (!this.redacting || !parameters || typeof parameters !== 'object' || Buffer.isBuffer(parameters)) {
+            return parameters;
+        }
+        if (Array.isArray(parameters)) {
+            const columns = typeof sql === 'string' ? this.scan(sql).placeholders : [];
+            return parameters.map((value, index) => (this.isSensitive(value, columns[index]) ? REDACTED : value));
+        }
+        return Object.fromEntries(Object.entries(parameters).map(([name, value]) => [
+            name,
+            this.isSensitive(value, name.replace(/^[@:]/, '')) ? REDACTED : value
+        ]));
+    }
+
+    /**
+     * Query text with sensitive string literals replaced
+     * @param {string} sql - Query text
+     * @returns {string}
+     */
+    redactQuery(sql) {
+        if (!this.redacting || typeof sql !== 'string' || !/['"]/.test(sql)) {
+            return sql;
+        }
+        let redacted = '';
+        let position = 0;
+        for (const literal of this.scan(sql).literals) {
+            if (this.isSensitive(literal.text, literal.column)) {
+                redacted += `${sql.substring(position, literal.start)}'${REDACTED}'`;
+                position = literal.end;
+            }
+        }
+        return position === 0 ? sql : redacted + sql.substring(position);
+    }
+
+    /**
+     * Free text (error messages such as "Duplicate entry 'license:...'") with sensitive values replaced
+     * @param {string} text - Message
+     * @returns {string}
+     */
+    redactText(text) {
+        if (typeof text !== 'string' || !REDACT_VALUES) {
+            return text;
+        }
+        return text.replace(REDACT_VALUES, REDACTED);
+    }
+
+    /**
+     * Write a finished statement to the audit log if it changes data or schema
+     * @param {Object} details - { connection, resource, query, parameters, duration, result, error }
+     */
+    record({ connection, resource, query, parameters, duration, result, error }) {
+        if (!this.file || typeof query !== 'string') {
+            return;
+        }
+        const analysis = global.sqlParser.analyze(query);
+        const audited = analysis.statements.length > 1
+            ? analysis.statements.some((statement) => AUDITED_TYPES.has(global.sqlParser.analyze(statement).type))
+            : AUDITED_TYPES.has(analysis.type);
+        if (!audited) {
+            return;
+        }
+
+        const record = {
+            time: new Date().toISOString(),
+            timestamp: Date.now(),
+            resource: resource || GetCurrentResourceName(),
+            connection: connection || 'default',
+            type: analysis.upsert ? 'UPSERT' : analysis.type,
+            duration: Math.round(duration * 100) / 100,
+            query: this.redactQuery(query),
+            parameters: this.redactParameters(query, parameters || []),
+            ...writeSummary(result)
+        };
+        if (error) {
+            record.error = this.redactText(error.message);
+            record.code = error.code || null;
+        }
+        this.file.append(record);
+    }
+
+    /**
+     * Audit log records, newest first
+     * @param {Object} [options] - { limit, resource, connection, type, since, search, failed }
+     * @returns {Promise<Array<Object>>}
+     */
+    async search(options = {}) {
+        if (!this.file) {
+            return [];
+        }
+        const limit = Math.max(1, parseInt(options.limit) || 50);
+        const since = options.since ? (typeof options.since === 'number' ? options.since : Date.parse(options.since)) : 0;
+        const type = options.type ? String(options.type).toUpperCase() : null;
+        const search = options.search ? String(options.search).toLowerCase() : null;
+
+        return this.file.read((record) => (!options.resource || record.resource === options.resource)
+            && (!options.connection || record.connection === options.connection)
+            && (!type || record.type === type)
+            && (!since || record.timestamp >= since)
+            && (!options.failed || !!record.error)
+            && (!search || record.query.toLowerCase().includes(search)), limit);
+    }
+}
+
+const queryAudit = new QueryAudit();
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlAudit = queryAudit;
@@ -0,0 +1,676 @@
+/**
+ * Backups
+ * Dumps tables (schema and rows) to SQL or JSON Lines files in the backup directory
+ * and restores them, over the resource's own connection pool.
+ *
+ * A backup reads every table inside one consistent-snapshot transaction on a
+ * background-lane connection and streams the rows to disk; reading pauses while the
+ * file catches up, so memory use does not grow with the size of a table.
+ *
+ * File formats:
+ * - sql:   DROP TABLE / CREATE TABLE and multi-row INSERT statements, one INSERT per line.
+ *          Also loads with the mysql command-line client.
+ * - jsonl: a header record, then per table { type: 'table', table, create, columns }
+ *          followed by one { type: 'row', table, row } record per row. Binary values are
+ *          written as { $base64 }, JSON columns as their text.
+ *
+ * A restore replays a file statement by statement. Data statements run in
+ * transactions of about mysql_backup_chunk_rows rows; DDL commits on its own. A failed
+ * restore stops at the failing statement, and chunks committed before it stay applied.
+ * DDL statements are audited one by one, row inserts once per table and chunk.
+ * SQL files from other tools restore too if they hold plain statements (no DELIMITER).
+ */
+
+const backupFs = require('fs');
+const backupPath = require('path');
+const backupReadline = require('readline');
+
+const BACKUP_DIR = GetConvar('mysql_backup_dir', 'backups');
+const BACKUP_CHUNK_ROWS = Math.max(1, parseInt(GetConvar('mysql_backup_chunk_rows', '1000')) || 1000);
+const BACKUP_FORMATS = ['sql', 'jsonl'];
+const BACKUP_FILE_VERSION = 1;
+
+// Session settings of backup and restore connections (the connection is closed afterwards)
+const BACKUP_SESSION = "SET time_zone = '+00:00'";
+const RESTORE_SESSION = "SET time_zone = '+00:00', FOREIGN_KEY_CHECKS = 0, SQL_MODE = 'NO_AUTO_VALUE_ON_ZERO'";
+
+// Run inside chunk transactions on restore; other statements commit on their own
+const DATA_STATEMENTS = new Set(['INSERT', 'REPLACE', 'UPDATE', 'DELETE']);
+
+// information_schema EXTRA of generated columns, which the server computes and refuses values for
+const GENERATED_COLUMN = /^(VIRTUAL|STORED|PERSISTENT)\b/i;
+
+function backupError(message, code = 'INVALID_PARAMETERS') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * First keyword of a statement, upper-cased (cheap: data statements can be megabytes long)
+ */
+function leadingKeyword(statement) {
+    const match = /^\s*(?:\/\*[\s\S]*?\*\/\s*)*([A-Za-z]+)/.exec(statement);
+    return match ? match[1].toUpperCase() : '';
+}
+
+/**
+ * A data statement without its row values: `INSERT INTO t (a, b)` of a multi-row INSERT
+ */
+function statementHead(statement) {
+    const values = DATA_STATEMENTS.has(leadingKeyword(statement)) ? /\)\s*VALUES\s*\(/i.exec(statement) : null;
+    return values ? statement.substring(0, values.index + 1) : statement;
+}
+
+/**
+ * Keyword and target table of a data statement for the audit log, e.g. INSERT INTO `users`
+ */
+function auditTarget(statement, connection) {
+    const keyword = leadingKeyword(statement);
+    const tables = global.sqlParser.referencedTables(statementHead(statement));
+    const table = tables && tables.length > 0 ? ` ${connection.escapeId(tables[0])}` : '';
+    if (keyword === 'UPDATE') {
+        return `UPDATE${table}`;
+    }
+    return keyword === 'DELETE' ? `DELETE FROM${table}` : `${keyword} INTO${table}`;
+}
+
+/**
+ * Read JSON as text and spatial values as raw bytes, so they are written back unchanged
+ */
+function dumpTypeCast(field, next) {
+    if (field.type === 'JSON') {
+        return field.string();
+    }
+    if (field.type === 'GEOMETRY') {
+        return field.buffer();
+    }
+    return next();
+}
+
+/**
+ * JSON Lines representation of a column value, and back
+ */
+function toJsonValue(value) {
+    return Buffer.isBuffer(value) ? { $base64: value.toString('base64') } : value;
+}
+
+function fromJsonValue(value) {
+    if (value && typeof value === 'object') {
+        return typeof value.$base64 === 'string' ? Buffer.from(value.$base64, 'base64') : JSON.stringify(value);
+    }
+    return value;
+}
+
+/**
+ * Stream the rows of a query as arrays
+ * When onRow returns a promise, reading pauses until it settles (backpressure)
+ * @returns {Promise<void>}
+ */
+function readRows(connection, sql, onRow) {
+    return new Promise((resolve, reject) => {
+        const core = connection.connection;
+        let failed = false;
+        const fail = (error) => {
+            if (!failed) {
+                failed = true;
+                reject(error);
+            }
+        };
+
+        const pending = core.query({ sql, rowsAsArray: true, typeCast: dumpTypeCast });
+        pending.on('result', (row) => {
+            if (failed) return;
+            let wait;
+            try {
+                wait = onRow(row);
+            } catch (error) {
+                return fail(error);
+            }
+            if (wait) {
+                core.pause();
+                wait.then(() => core.resume(), fail);
+            }
+        });
+        pending.on('end', () => {
+            if (!failed) resolve();
+        });
+        pending.on('error', fail);
+    });
+}
+
+/**
+ * Read the statements of a SQL file one at a time
+ * Understands quoted strings, backticks and comments; `;` ends a statement.
+ * Block comments are kept, since MySQL runs the versioned `/*! ... *\/` syntax.
+ * @param {string} file - Absolute path
+ */
+async function* readStatements(file) {
+    const lines = backupReadline.createInterface({ input: backupFs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+    let current = '';
+    let quote = null;       // Open quote carried over from an earlier line
+    let comment = false;    // Inside a block comment
+
+    for await (const line of lines) {
+        let from = 0;
+        let i = 0;
+        while (i < line.length) {
+            const char = line[i];
+            if (comment) {
+                const end = line.indexOf('*/', i);
+                if (end === -1) break;
+                comment = false;
+                i = end + 2;
+                continue;
+            }
+            if (quote) {
+                if (char === '\\' && quote !== '`') {
+                    i += 2;
+                    continue;
+                }
+                if (char === quote) {
+                    if (line[i + 1] === quote) {
+                        i += 2;
+                        continue;
+                    }
+                    quote = null;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '\'' || char === '"' || char === '`') {
+                quote = char;
+            } else if (char === '/' && line[i + 1] === '*') {
+                comment = true;
+                i += 2;
+                continue;
+            } else if ((char === '-' && line[i + 1] === '-' && (i + 2 >= line.length || /\s/.test(line[i + 2]))) || char === '#') {
+                current += line.substring(from, i);
+                from = line.length;
+                break;
+            } else if (char === ';') {
+                current += line.substring(from, i);
+                if (current.trim()) {
+                    yield current.trim();
+                }
+                current = '';
+                from = i + 1;
+            }
+            i++;
+        }
+        current += `${line.substring(from)}\n`;
+    }
+
+    if (current.trim()) {
+        yield current.trim();
+    }
+}
+
+/**
+ * Turn the records of a JSON Lines backup into statements
+ * Rows become multi-row INSERTs of up to chunkRows rows and maxBytes bytes
+ * @param {string} file - Absolute path
+ * @param {Object} connection - Connection whose escape functions are used
+ */
+async function* readJsonLines(file, connection, chunkRows, maxBytes) {
+    const lines = backupReadline.createInterface({ input: backupFs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+    let table = null;       // { name, columns, prefix }
+    let tuples = [];
+    let bytes = 0;
+    let number = 0;
+
+    const flush = () => {
+        const statement = `${table.prefix}${tuples.join(',')}`;
+        tuples = [];
+        bytes = 0;
+        return statement;
+    };
+
+    for await (const line of lines) {
+        number++;
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw backupError(`Invalid JSON on line ${number}`);
+        }
+
+        if (record.type === 'backup' && record.version > BACKUP_FILE_VERSION) {
+            throw backupError(`Backup file version ${record.version} is newer than this ingenium.sql supports`);
+        }
+        if (record.type === 'table') {
+            if (tuples.length > 0) {
+                yield flush();
+            }
+            const columns = Array.isArray(record.columns) ? record.columns : [];
+            table = {
+                name: record.table,
+                columns,
+                prefix: `INSERT INTO ${connection.escapeId(record.table)} (${columns.map((column) => connection.escapeId(column)).join(', ')}) VALUES `
+            };
+            if (record.create) {
+                yield `DROP TABLE IF EXISTS ${connection.escapeId(record.table)}`;
+                yield record.create;
+            }
+        } else if (record.type === 'row') {
+            if (!table || record.table !== table.name) {
+                throw backupError(`Row of table '${record.table}' without a table record before it (line ${number})`);
+            }
+            const row = record.row || {};
+            const tuple = `(${table.columns.map((column) => connection.escape(fromJsonValue(row[column]))).join(',')})`;
+            if (tuples.length > 0 && (tuples.length >= chunkRows || bytes + tuple.length > maxBytes)) {
+                yield flush();
+            }
+            tuples.push(tuple);
+            bytes += tuple.length;
+        }
+    }
+
+    if (tuples.length > 0) {
+        yield flush();
+    }
+}
+
+/**
+ * Write stream that reports when its buffer is full
+ */
+class BackupFile {
+    constructor(file) {
+        this.stream = backupFs.createWriteStream(file);
+        this.bytes = 0;
+        this.error = null;
+        this.draining = null;    // Pending drain, shared by writes made while the buffer is full
+        this.stream.on('error', (error) => {
+            this.error = error;
+        });
+    }
+
+    /**
+     * Queue text for writing
+     * @returns {Promise|null} A promise that resolves once the buffer drained, if it is full
+     */
+    write(text) {
+        if (this.error) {
+            throw this.error;
+        }
+        this.bytes += Buffer.byteLength(text);
+        if (this.stream.write(text)) {
+            return null;
+        }
+        if (!this.draining) {
+            this.draining = new Promise((resolve, reject) => {
+                const done = (error) => {
+                    this.stream.off('drain', done);
+                    this.stream.off('error', done);
+                    this.draining = null;
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                };
+                this.stream.on('drain', done);
+                this.stream.on('error', done);
+            });
+        }
+        return this.draining;
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            if (this.error) {
+                return reject(this.error);
+            }
+            this.stream.end(() => (this.error ? reject(this.error) : resolve()));
+        });
+    }
+
+    destroy() {
+        this.stream.destroy();
+    }
+}
+
+class BackupManager {
+    constructor() {
+        this.directory = backupPath.isAbsolute(BACKUP_DIR)
+            ? BACKUP_DIR
+            : backupPath.join(GetResourcePath(GetCurrentResourceName()), BACKUP_DIR);
+        this.running = null;     // 'backup' or 'restore' while one runs
+    }
+
+    /**
+     * Absolute path of a file in the backup directory
+     * @throws {Error} INVALID_PARAMETERS for a path outside the directory
+     */
+    resolve(file) {
+        const resolved = backupPath.resolve(this.directory, String(file));
+        const relative = backupPath.relative(this.directory, resolved);
+        if (!relative || relative.startsWith('..') || backupPath.isAbsolute(relative)) {
+            throw backupError(`Backup files must be inside ${BACKUP_DIR}: ${file}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * File format from the format option or the file extension (default sql)
+     */
+    formatOf(file, format) {
+        const chosen = String(format || (/\.jsonl$/i.test(file || '') ? 'jsonl' : 'sql')).toLowerCase();
+        if (!BACKUP_FORMATS.includes(chosen)) {
+            throw backupError(`Unknown backup format '${format}' (sql or jsonl)`);
+        }
+        return chosen;
+    }
+
+    /**
+     * Run one backup or restore at a time
+     */
+    async exclusive(task, fn) {
+        if (this.running) {
+            throw backupError(`A ${this.running} is already running`, 'BACKUP_IN_PROGRESS');
+        }
+        this.running = task;
+        try {
+            return await fn();
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Base tables to dump, in the requested order
+     * @param {Array<string>|string} [requested] - Table names (array or comma-separated); all when omitted
+     */
+    async selectTables(connection, requested) {
+        const [rows] = await connection.query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
+        const existing = rows.map((row) => Object.values(row)[0]);
+        if (requested === undefined || requested === null || requested === '' || requested === '*') {
+            return existing;
+        }
+
+        const names = [...new Set((Array.isArray(requested) ? requested : String(requested).split(','))
+            .map((name) => String(name).trim())
+            .filter(Boolean))];
+        const unknown = names.filter((name) => !existing.includes(name));
+        if (unknown.length > 0) {
+            throw backupError(`Unknown table(s): ${unknown.join(', ')}`);
+        }
+        return names;
+    }
+
+    /**
+     * Dump tables to a file in the backup directory
+     * @param {Object} pool - ConnectionPool to read from
+     * @param {Object} [options] - { tables (default: all), format ('sql' or 'jsonl'), file, schema, data }
+     * @param {string} [resource] - Calling resource, checked against the permission policy
+     * @returns {Promise<Object>} { file, format, tables: [{ table, rows }], rows, bytes, duration }
+     */
+    async backup(pool, options = {}, resource) {
+        return this.exclusive('backup', async () => {
+            const startTime = Date.now();
+            const format = this.formatOf(options.file, options.format);
+            const database = pool.config.database;
+            const file = options.file
+                ? String(options.file)
+                : `${database}_${new Date().toISOString().replace(/\.\d+Z$/, '').replace('T', '_').replace(/:/g, '-')}.${format}`;
+            const target = this.resolve(file);
+            const schema = options.schema !== false;
+            const data = options.data !== false;
+            const chunkRows = Math.max(1, parseInt(options.chunkRows) || BACKUP_CHUNK_ROWS);
+            const maxBytes = Math.floor((await pool.maxAllowedPacket()) * 0.9);
+
+            const summary = { file, format, tables: [], rows: 0, bytes: 0, duration: 0 };
+            const connection = await pool.getConnection('background');
+            let out = null;
+            try {
+                await connection.query(BACKUP_SESSION);
+                await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+                const tables = await this.selectTables(connection, options.tables);
+                for (const table of tables) {
+                    global.sqlPermissions.check(`SELECT * FROM ${connection.escapeId(table)}`, resource);
+                }
+
+                await backupFs.promises.mkdir(backupPath.dirname(target), { recursive: true });
+                out = new BackupFile(`${target}.partial`);
+                const created = new Date().toISOString();
+                if (format === 'sql') {
+                    out.write(`-- ingenium.sql backup of \`${database}\`\n-- Created: ${created}\n-- Tables: ${tables.join(', ')}\n\n`);
+                    out.write(`SET NAMES utf8mb4;\n${RESTORE_SESSION};\n\n`);
+                } else {
+                    out.write(`${JSON.stringify({ type: 'backup', version: BACKUP_FILE_VERSION, database, created, tables })}\n`);
+                }
+
+                for (const table of tables) {
+                    const entry = await this.dumpTable(connection, out, table, { format, schema, data, chunkRows, maxBytes });
+                    summary.tables.push(entry);
+                    summary.rows += entry.rows;
+                }
+                if (format === 'sql') {
+                    out.write('SET FOREIGN_KEY_CHECKS = 1;\n');
+                }
+
+                await out.close();
+                await backupFs.promises.rename(`${target}.partial`, target);
+            } catch (error) {
+                if (out) {
+                    out.destroy();
+                    await backupFs.promises.rm(`${target}.partial`, { force: true }).catch(() => {});
+                }
+                throw error;
+            } finally {
+                // The session settings must not leak into the pool
+                connection.destroy();
+            }
+
+            summary.bytes = out.bytes;
+            summary.duration = Date.now() - startTime;
+            console.log(`^2[ig.sql] Backup written to ${BACKUP_DIR}/${file}: ${summary.tables.length} table(s), ${summary.rows} row(s) in ${summary.duration}ms^7`);
+            return summary;
+        });
+    }
+
+    /**
+     * Write the schema and rows of one table
+     * @returns {Promise<Object>} { table, rows }
+     */
+    async dumpTable(connection, out, table, { format, schema, data, chunkRows, maxBytes }) {
+        const name = connection.escapeId(table);
+        const [[definition]] = await connection.query(`SHOW CREATE TABLE ${name}`);
+        const [columnRows] = await connection.query(
+            'SELECT COLUMN_NAME AS name, EXTRA AS extra FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION',
+            [table]
+        );
+        const columns = columnRows.filter((column) => !GENERATED_COLUMN.test(column.extra || '')).map((column) => column.name);
+        const columnList = columns.map((column) => connection.escapeId(column)).join(', ');
+
+        if (format === 'sql') {
+            out.write(`--\n-- Table ${name}\n--\n`);
+            if (schema) {
+                out.write(`DROP TABLE IF EXISTS ${name};\n${definition['Create Table']};\n\n`);
+            }
+        } else {
+            out.write(`${JSON.stringify({ type: 'table', table, create: schema ? definition['Create Table'] : undefined, columns })}\n`);
+        }
+
+        let rows = 0;
+        if (!data || columns.length === 0) {
+            return { table, rows };
+        }
+
+        // SQL: rows are appended to an open INSERT until it reaches chunkRows or maxBytes
+        const prefix = `INSERT INTO ${name} (${columnList}) VALUES `;
+        let inStatement = 0;
+        let statementBytes = 0;
+        await readRows(connection, `SELECT ${columnList} FROM ${name}`, (values) => {
+            rows++;
+            if (format === 'jsonl') {
+                const row = {};
+                columns.forEach((column, index) => {
+                    row[column] = toJsonValue(values[index]);
+                });
+                return out.write(`${JSON.stringify({ type: 'row', table, row })}\n`);
+            }
+
+            const tuple = `(${values.map((value) => connection.escape(value)).join(',')})`;
+            let text = tuple;
+            if (inStatement === 0) {
+                text = prefix + tuple;
+            } else if (inStatement >= chunkRows || statementBytes + tuple.length > maxBytes) {
+                text = `;\n${prefix}${tuple}`;
+                inStatement = 0;
+                statementBytes = 0;
+            } else {
+                text = `,${tuple}`;
+            }
+            inStatement++;
+            statementBytes += text.length;
+            return out.write(text);
+        });
+        if (format === 'sql') {
+            out.write(inStatement > 0 ? ';\n\n' : '\n');
+        }
+        return { table, rows };
+    }
+
+    /**
+     * Replay a backup file
+     * @param {Object} pool - ConnectionPool to restore into
+     * @param {string} file - File in the backup directory
+     * @param {Object} [options] - { format (default: from the extension), chunkRows }
+     * @param {string} [resource] - Calling resource, checked against the permission policy
+     * @returns {Promise<Object>} { file, format, statements, rows, chunks, duration }
+     */
+    async restore(pool, file, options = {}, resource) {
+        return this.exclusive('restore', async () => {
+            const startTime = Date.now();
+            if (!file) {
+                throw backupError('restore requires a backup file name');
+            }
+            const source = this.resolve(file);
+            if (!(await backupFs.promises.stat(source).then((stat) => stat.isFile(), () => false))) {
+                throw backupError(`Backup file not found: ${BACKUP_DIR}/${file}`);
+            }
+            const format = this.formatOf(file, options.format);
+            const chunkRows = Math.max(1, parseInt(options.chunkRows) || BACKUP_CHUNK_ROWS);
+            const maxBytes = Math.floor((await pool.maxAllowedPacket()) * 0.9);
+
+            const summary = { file: String(file), format, statements: 0, rows: 0, chunks: 0, duration: 0 };
+            const connection = await pool.getConnection('background');
+            const statements = () => (format === 'sql'
+                ? readStatements(source)
+                : readJsonLines(source, connection, chunkRows, maxBytes));
+            let open = false;
+            let chunkRowsDone = 0;
+            let chunkStart = 0;
+            const chunkTargets = new Map();   // audit target -> rows of the open chunk
+
+            // One audit record per table and chunk, naming the file the rows came from
+            const auditChunk = (error = null) => {
+                const origin = `restore of ${summary.file.replace(/\*\//g, '*')}, chunk ${summary.chunks + 1}`;
+                for (const [target, rows] of chunkTargets) {
+                    global.sqlAudit.record({
+                        connection: pool.name,
+                        resource,
+                        query: `${target} /* ${origin}: ${rows} row(s) */`,
+                        duration: Date.now() - chunkStart,
+                        result: error ? null : { affectedRows: rows },
+                        error
+                    });
+                }
+                chunkTargets.clear();
+            };
+            const commit = async () => {
+                if (open) {
+                    await connection.commit();
+                    open = false;
+                    auditChunk();
+                    summary.chunks++;
+                    chunkRowsDone = 0;
+                }
+            };
+
+            try {
+                // Check the whole file first, so a denied statement is found before anything runs
+                if (global.sqlPermissions.mode !== 'off' && global.sqlPermissions.ruleFor(resource)) {
+                    const checked = new Set();
+                    for await (const statement of statements()) {
+                        const text = statementHead(statement);
+                        if (!checked.has(text)) {
+                            checked.add(text);
+                            global.sqlPermissions.check(text, resource);
+                        }
+                    }
+                }
+
+                await connection.query(RESTORE_SESSION);
+                for await (const statement of statements()) {
+                    summary.statements++;
+                    if (DATA_STATEMENTS.has(leadingKeyword(statement))) {
+                        if (!open) {
+                            await connection.beginTransaction();
+                            open = true;
+                            chunkStart = Date.now();
+                        }
+                        const target = auditTarget(statement, connection);
+                        const [result] = await connection.query(statement);
+                        summary.rows += result.affectedRows || 0;
+                        chunkRowsDone += result.affectedRows || 0;
+                        chunkTargets.set(target, (chunkTargets.get(target) || 0) + (result.affectedRows || 0));
+                        if (chunkRowsDone >= chunkRows) {
+                            await commit();
+                        }
+                    } else {
+                        await commit();
+                        const statementStart = Date.now();
+                        const [result] = await connection.query(statement);
+                        global.sqlAudit.record({ connection: pool.name, resource, query: statement, duration: Date.now() - statementStart, result });
+                    }
+                }
+                await commit();
+            } catch (error) {
+                if (open) {
+                    await connection.rollback().catch(() => {});
+                    auditChunk(error);
+                }
+                if (summary.statements > 0) {
+                    error.message += ` (statement ${summary.statements}; ${summary.chunks} chunk(s) committed before it stay restored)`;
+                }
+                throw error;
+            } finally {
+                // The session settings must not leak into the pool
+                connection.destroy();
+                global.sqlCache.invalidateTables(pool.name, null);
+            }
+
+            summary.duration = Date.now() - startTime;
+            console.log(`^2[ig.sql] Restored ${BACKUP_DIR}/${file}: ${summary.statements} statement(s), ${summary.rows} row(s) in ${summary.duration}ms^7`);
+            return summary;
+        });
+    }
+
+    /**
+     * Backup files, newest first
+     * @returns {Promise<Array<Object>>} { file, format, size, modified }
+     */
+    async list() {
+        let names;
+        try {
+            names = await backupFs.promises.readdir(this.directory);
+        } catch (error) {
+            return [];
+        }
+        const files = [];
+        for (const name of names.filter((candidate) => /\.(sql|jsonl)$/i.test(candidate))) {
+            const stat = await backupFs.promises.stat(backupPath.join(this.directory, name)).catch(() => null);
+            if (stat && stat.isFile()) {
+                files.push({ file: name, format: this.formatOf(name), size: stat.size, modified: stat.mtime.toISOString() });
+            }
+        }
+        return files.sort((a, b) => (a.modified < b.modified ? 1 : -1));
+    }
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlBackup = new BackupManager();
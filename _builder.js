@@ -0,0 +1,704 @@
+/**
+ * Query Builder
+ * Fluent, parameterized SQL for a single table, usable from JS and Lua:
+ *
+ *   exports['ingenium.sql']:table('users').where('job', 'police').orderBy('name').get()
+ *
+ * Identifiers (tables, columns, aliases) are validated and backtick-quoted, values are
+ * always bound as parameters. Compiled queries run through the regular exports, so
+ * call options (strict, cache, connection, retry, ...) apply as usual.
+ *
+ * UPDATE and DELETE refuse to run without a WHERE clause unless allowNoWhere() was called.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const COLUMN_REFERENCE = /^(?:([A-Za-z_$][A-Za-z0-9_$]*)\.)?([A-Za-z_$][A-Za-z0-9_$]*|\*)(?:\s+AS\s+([A-Za-z_$][A-Za-z0-9_$]*))?$/i;
+const WHERE_OPERATORS = new Set(['=', '!=', '<>', '<', '<=', '>', '>=', '<=>', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN']);
+
+// Prepared statements accept at most 65535 placeholders
+const MAX_PLACEHOLDERS = 65535;
+
+/**
+ * Error raised for an invalid builder call (classified as kind 'syntax')
+ */
+function builderError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+/**
+ * Quote a plain identifier
+ */
+function quoteIdentifier(name) {
+    if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+        throw builderError(`Invalid identifier: ${name}`);
+    }
+    return `\`${name}\``;
+}
+
+/**
+ * Quote a column reference: column, table.column, table.*, * and an optional AS alias
+ */
+function quoteColumn(reference) {
+    const match = typeof reference === 'string' && reference.trim().match(COLUMN_REFERENCE);
+    if (!match) {
+        throw builderError(`Invalid column: ${reference}`);
+    }
+    const [, tableName, column, alias] = match;
+    let sql = column === '*' ? '*' : quoteIdentifier(column);
+    if (tableName) sql = `${quoteIdentifier(tableName)}.${sql}`;
+    if (alias) sql += ` AS ${quoteIdentifier(alias)}`;
+    return sql;
+}
+
+/**
+ * Name of the result field a column reference produces (alias, else column name)
+ */
+function resultField(reference) {
+    const [, , column, alias] = String(reference).trim().match(COLUMN_REFERENCE) || [];
+    return alias || column;
+}
+
+/**
+ * Convert a Lua sequence that arrived as an object ({ "1": a, "2": b }) or a single value to an array
+ */
+function toArray(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object' && Object.keys(value).every((key) => /^\d+$/.test(key))) {
+        return Object.keys(value).sort((a, b) => a - b).map((key) => value[key]);
+    }
+    return [value];
+}
+
+/**
+ * Normalize insert rows: a single object or a list of objects
+ */
+function toRows(rows) {
+    const list = rows && typeof rows === 'object' && !Array.isArray(rows) && !Object.keys(rows).every((key) => /^\d+$/.test(key))
+        ? [rows]
+        : toArray(rows);
+    if (list.length === 0 || !list.every((row) => row && typeof row === 'object' && Object.keys(row).length > 0)) {
+        throw builderError('Insert requires at least one non-empty row object');
+    }
+    return list;
+}
+
+class QueryBuilder {
+    /**
+     * @param {string} tableName - Table to query (may be `table AS alias`)
+     * @param {Object} runner - { query, fetchSingle, fetchScalar, insert, update, fail }
+     * @param {Object} [defaults] - Options merged into every call (e.g. { connection })
+     */
+    constructor(tableName, runner, defaults = {}) {
+        const match = typeof tableName === 'string' && tableName.trim().match(/^([A-Za-z_$][A-Za-z0-9_$]*)(?:\s+(?:AS\s+)?([A-Za-z_$][A-Za-z0-9_$]*))?$/i);
+        if (!match) {
+            throw builderError(`Invalid table name: ${tableName}`);
+        }
+        this.tableSql = quoteIdentifier(match[1]) + (match[2] ? ` AS ${quoteIdentifier(match[2])}` : '');
+        this.runner = runner;
+        this.defaults = defaults;
+        this.columns = [];
+        this.columnParams = [];
+        this.joins = [];
+        this.wheres = [];
+        this.groups = [];
+        this.orders = [];
+        this.orderKeys = [];          // { sql, field, descending } for keyset pagination
+        this.selectedFields = null;   // Result field names when every selected column is known
+        this.limitValue = null;
+        this.offsetValue = null;
+        this.unfilteredAllowed = false;
+    }
+
+    select(...columns) {
+        for (const column of columns.flatMap(toArray)) {
+            this.columns.push(quoteColumn(column));
+            if (this.columns.length === 1) this.selectedFields = new Set();
+            if (this.selectedFields) this.selectedFields.add(resultField(column));
+        }
+        return this;
+    }
+
+    /**
+     * Add a raw select expression, e.g. selectRaw('COUNT(*) AS total')
+     */
+    selectRaw(sql, parameters = []) {
+        this.columns.push(sql);
+        this.selectedFields = null;
+        this.columnParams.push(...toArray(parameters));
+        return this;
+    }
+
+    /**
+     * where(column, value) | where(column, operator, value) | where({ column = value, ... })
+     * In the object form an array value means IN and null means IS NULL
+     */
+    where(column, operator, value) {
+        return this.addWhere('AND', column, operator, value, arguments.length);
+    }
+
+    orWhere(column, operator, value) {
+        return this.addWhere('OR', column, operator, value, arguments.length);
+    }
+
+    whereIn(column, values) {
+        return this.addCondition('AND', column, 'IN', values);
+    }
+
+    whereNotIn(column, values) {
+        return this.addCondition('AND', column, 'NOT IN', values);
+    }
+
+    whereNull(column) {
+        this.wheres.push({ boolean: 'AND', sql: `${quoteColumn(column)} IS NULL`, params: [] });
+        return this;
+    }
+
+    whereNotNull(column) {
+        this.wheres.push({ boolean: 'AND', sql: `${quoteColumn(column)} IS NOT NULL`, params: [] });
+        return this;
+    }
+
+    /**
+     * Add a raw condition with ? placeholders, e.g. whereRaw('last_seen > NOW() - INTERVAL ? DAY', [7])
+     */
+    whereRaw(sql, parameters = []) {
+        this.wheres.push({ boolean: 'AND', sql: `(${sql})`, params: toArray(parameters) });
+        return this;
+    }
+
+    addWhere(boolean, column, operator, value, argumentCount) {
+        if (column && typeof column === 'object') {
+            for (const [key, entry] of Object.entries(column)) {
+                if (entry === null) {
+                    this.wheres.push({ boolean, sql: `${quoteColumn(key)} IS NULL`, params: [] });
+                } else {
+                    this.addCondition(boolean, key, Array.isArray(entry) ? 'IN' : '=', entry);
+                }
+                boolean = 'AND';
+            }
+            return this;
+        }
+        if (argumentCount === 2 || (argumentCount === 3 && value === undefined && !WHERE_OPERATORS.has(String(operator).toUpperCase()))) {
+            return this.addCondition(boolean, column, '=', operator);
+        }
+        return this.addCondition(boolean, column, operator, value);
+    }
+
+    addCondition(boolean, column, operator, value) {
+        const op = String(operator).toUpperCase();
+        if (!WHERE_OPERATORS.has(op)) {
+            throw builderError(`Invalid operator: ${operator}`);
+        }
+        if (value === undefined) {
+            throw builderError(`Missing value for ${column} (use whereNull for NULL checks)`);
+        }
+
+        if (op === 'IN' || op === 'NOT IN') {
+            const values = toArray(value);
+            // IN () is invalid SQL: an empty list matches nothing (or everything for NOT IN)
+            const sql = values.length === 0
+                ? (op === 'IN' ? '0 = 1' : '1 = 1')
+                : `${quoteColumn(column)} ${op} (${values.map(() => '?').join(', ')})`;
+            this.wheres.push({ boolean, sql, params: values });
+        } else {
+            this.wheres.push({ boolean, sql: `${quoteColumn(column)} ${op} ?`, params: [value] });
+        }
+        return this;
+    }
+
+    join(tableName, first, operator, second) {
+        return this.addJoin('INNER', tableName, first, operator, second);
+    }
+
+    leftJoin(tableName, first, operator, second) {
+        return this.addJoin('LEFT', tableName, first, operator, second);
+    }
+
+    rightJoin(tableName, first, operator, second) {
+        return this.addJoin('RIGHT', tableName, first, operator, second);
+    }
+
+    /**
+     * Join on two columns: join('jobs', 'jobs.name', 'users.job') or with an explicit operator
+     */
+    addJoin(type, tableName, first, operator, second) {
+        if (second === undefined) {
+            second = operator;
+            operator = '=';
+        }
+        if (!['=', '!=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+            throw builderError(`Invalid join operator: ${operator}`);
+        }
+        const match = typeof tableName === 'string' && tableName.trim().match(/^([A-Za-z_$][A-Za-z0-9_$]*)(?:\s+(?:AS\s+)?([A-Za-z_$][A-Za-z0-9_$]*))?$/i);
+        if (!match) {
+            throw builderError(`Invalid table name: ${tableName}`);
+        }
+        const tableSql = quoteIdentifier(match[1]) + (match[2] ? ` AS ${quoteIdentifier(match[2])}` : '');
+        this.joins.push(`${type} JOIN ${tableSql} ON ${quoteColumn(first)} ${operator} ${quoteColumn(second)}`);
+        return this;
+    }
+
+    groupBy(...columns) {
+        for (const column of columns.flatMap(toArray)) {
+            this.groups.push(quoteColumn(column));
+        }
+        return this;
+    }
+
+    orderBy(column, direction = 'ASC') {
+        const dir = String(direction).toUpperCase();
+        if (dir !== 'ASC' && dir !== 'DESC') {
+            throw builderError(`Invalid order direction: ${direction}`);
+        }
+        this.orders.push(`${quoteColumn(column)} ${dir}`);
+        this.orderKeys.push({ sql: quoteColumn(column), field: resultField(column), descending: dir === 'DESC' });
+        return this;
+    }
+
+    limit(count) {
+        this.limitValue = this.toCount(count, 'limit');
+        return this;
+    }
+
+    offset(count) {
+        this.offsetValue = this.toCount(count, 'offset');
+        return this;
+    }
+
+    toCount(value, name) {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+            throw builderError(`Invalid ${name}: ${value}`);
+        }
+        return count;
+    }
+
+    /**
+     * Permit UPDATE/DELETE without a WHERE clause (affects every row)
+     */
+    allowNoWhere() {
+        this.unfilteredAllowed = true;
+        return this;
+    }
+
+    // ------------------------------------------------------------------ compile
+
+    /**
+     * @param {Object} [extra] - { sql, params } condition ANDed with the whole WHERE clause
+     */
+    compileWhere(extra = null) {
+        if (this.wheres.length === 0) {
+            return extra ? { sql: ` WHERE ${extra.sql}`, params: extra.params } : { sql: '', params: [] };
+        }
+        let sql = this.wheres
+            .map((condition, index) => (index === 0 ? condition.sql : `${condition.boolean} ${condition.sql}`))
+            .join(' ');
+        const params = this.wheres.flatMap((condition) => condition.params);
+        if (extra) {
+            sql = `(${sql}) AND ${extra.sql}`;
+            params.push(...extra.params);
+        }
+        return { sql: ` WHERE ${sql}`, params };
+    }
+
+    requireWhere(statement) {
+        if (this.wheres.length === 0 && !this.unfilteredAllowed) {
+            throw builderError(`Refusing to run ${statement} on ${this.tableSql} without a WHERE clause (call allowNoWhere() to affect every row)`);
+        }
+    }
+
+    /**
+     * Compile the SELECT statement
+     * The arguments override parts of the builder for one statement without changing it.
+     * @param {number|null} [limitOverride] - LIMIT instead of limit()
+     * @param {Object} [extraCondition] - { sql, params } ANDed with the WHERE clause
+     * @param {Object} [selection] - { columns, params } instead of the selected columns
+     * @param {Array<string>} [orders] - ORDER BY terms instead of orderBy()
+     * @returns {{ query: string, parameters: Array }}
+     */
+    toSelect(limitOverride = null, extraCondition = null, selection = null, orders = this.orders) {
+        const where = this.compileWhere(extraCondition);
+        const { columns, params } = selection || { columns: this.columns, params: this.columnParams };
+        let sql = `SELECT ${columns.length > 0 ? columns.join(', ') : '*'} FROM ${this.tableSql}`;
+        if (this.joins.length > 0) sql += ` ${this.joins.join(' ')}`;
+        sql += where.sql;
+        if (this.groups.length > 0) sql += ` GROUP BY ${this.groups.join(', ')}`;
+        if (orders.length > 0) sql += ` ORDER BY ${orders.join(', ')}`;
+
+        // Inlined (validated integers): LIMIT placeholders are rejected by some servers in prepared statements
+        const limit = limitOverride !== null ? limitOverride : this.limitValue;
+        if (limit !== null) sql += ` LIMIT ${limit}`;
+        if (this.offsetValue !== null) sql += `${limit === null ? ' LIMIT 18446744073709551615' : ''} OFFSET ${this.offsetValue}`;
+
+        return { query: sql, parameters: [...params, ...where.params] };
+    }
+
+    /**
+     * Compile a COUNT(*) of the rows get() would return
+     * Grouped or limited queries are counted from a derived table, so the count is
+     * the number of groups or the size of the limited slice.
+     */
+    toCountQuery() {
+        if (this.groups.length === 0 && this.limitValue === null && this.offsetValue === null) {
+            return this.toSelect(null, null, { columns: ['COUNT(*)'], params: [] }, []);
+        }
+        const inner = this.toSelect(null, null, { columns: ['1'], params: [] }, []);
+        return { query: `SELECT COUNT(*) FROM (${inner.query}) AS \`counted\``, parameters: inner.parameters };
+    }
+
+    /**
+     * Compile an INSERT for one or more row objects
+     * Columns are the union of all row keys; a row missing a column inserts DEFAULT
+     */
+    toInsert(rows, { ignore = false, updateColumns = null } = {}) {
+        const list = toRows(rows);
+        const columns = [...new Set(list.flatMap((row) => Object.keys(row)))];
+        const params = [];
+        const values = list.map((row) => `(${columns.map((column) => {
+            if (!Object.prototype.hasOwnProperty.call(row, column)) return 'DEFAULT';
+            params.push(row[column]);
+            return '?';
+        }).join(', ')})`);
+
+        let sql = `INSERT${ignore ? ' IGNORE' : ''} INTO ${this.tableSql} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values.join(', ')}`;
+        if (updateColumns) {
+            const updates = updateColumns.length > 0 ? updateColumns : columns;
+            sql += ` ON DUPLICATE KEY UPDATE ${updates.map((column) => `${quoteIdentifier(column)} = VALUES(${quoteIdentifier(column)})`).join(', ')}`;
+        }
+        return { query: sql, parameters: params };
+    }
+
+    /**
+     * Compile an UPDATE from a { column = value } object
+     */
+    toUpdate(values) {
+        this.requireWhere('UPDATE');
+        const entries = values && typeof values === 'object' ? Object.entries(values) : [];
+        if (entries.length === 0) {
+            throw builderError('Update requires at least one column value');
+        }
+        const where = this.compileWhere();
+        const sql = `UPDATE ${this.tableSql} SET ${entries.map(([column]) => `${quoteIdentifier(column)} = ?`).join(', ')}${where.sql}`;
+        return { query: sql, parameters: [...entries.map(([, value]) => value), ...where.params] };
+    }
+
+    /**
+     * Compile `column = column + amount`
+     */
+    toIncrement(column, amount) {
+        this.requireWhere('UPDATE');
+        const value = Number(amount);
+        if (!Number.isFinite(value)) {
+            throw builderError(`Invalid increment for ${column}: ${amount}`);
+        }
+        const where = this.compileWhere();
+        const quoted = quoteIdentifier(column);
+        return { query: `UPDATE ${this.tableSql} SET ${quoted} = ${quoted} + ?${where.sql}`, parameters: [value, ...where.params] };
+    }
+
+    /**
+     * Compile one page of keyset pagination
+     * The ORDER BY columns form the key (default: `id` ascending). The cursor holds the
+     * key of the previous page's last row, so each page seeks past it instead of
+     * scanning an OFFSET. One extra row is fetched to tell whether another page follows.
+     * @param {number} pageSize - Rows per page
+     * @param {string} [cursor] - Token from the previous page
+     */
+    toPage(pageSize, cursor) {
+        const size = this.toCount(pageSize, 'page size');
+        if (size === 0) {
+            throw builderError('Invalid page size: 0');
+        }
+        if (this.offsetValue !== null || this.limitValue !== null) {
+            throw builderError('paginate() cannot be combined with limit() or offset()');
+        }
+        const keys = this.pageKeys();
+        for (const key of keys) {
+            if (this.selectedFields && !this.selectedFields.has('*') && !this.selectedFields.has(key.field)) {
+                throw builderError(`paginate() needs the order column '${key.field}' in the selected columns`);
+            }
+        }
+
+        let seek = null;
+        if (cursor) {
+            const after = this.decodeCursor(cursor);
+            // (a > ?) OR (a = ? AND b > ?) OR ... - works for mixed directions, unlike row comparison
+            const branches = [];
+            const params = [];
+            keys.forEach((key, index) => {
+                const parts = keys.slice(0, index).map((previous) => `${previous.sql} = ?`);
+                parts.push(`${key.sql} ${key.descending ? '<' : '>'} ?`);
+                branches.push(`(${parts.join(' AND ')})`);
+                params.push(...after.slice(0, index), after[index]);
+            });
+            seek = { sql: `(${branches.join(' OR ')})`, params };
+        }
+        return this.toSelect(size + 1, seek, null, this.pageOrders());
+    }
+
+    /**
+     * Keyset pagination key: the ORDER BY columns, or `id` ascending
+     */
+    pageKeys() {
+        return this.orderKeys.length > 0 ? this.orderKeys : [{ sql: quoteColumn('id'), field: resultField('id'), descending: false }];
+    }
+
+    pageOrders() {
+        return this.pageKeys().map((key) => `${key.sql} ${key.descending ? 'DESC' : 'ASC'}`);
+    }
+
+    /**
+     * Identifies the ordering a cursor was made for
+     */
+    orderSignature() {
+        return this.pageOrders().join(', ');
+    }
+
+    encodeCursor(row) {
+        const keys = this.pageKeys().map((key) => row[key.field]);
+        return Buffer.from(JSON.stringify({ k: keys, o: this.orderSignature() })).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+        if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== this.pageKeys().length || decoded.o !== this.orderSignature()) {
+            throw builderError('Invalid cursor for this query (the cursor must come from the same ordering)');
+        }
+        return decoded.k;
+    }
+
+    toDelete() {
+        this.requireWhere('DELETE');
+        const where = this.compileWhere();
+        let sql = `DELETE FROM ${this.tableSql}${where.sql}`;
+        if (this.orders.length > 0) sql += ` ORDER BY ${this.orders.join(', ')}`;
+        if (this.limitValue !== null) sql += ` LIMIT ${this.limitValue}`;
+        return { query: sql, parameters: where.params };
+    }
+
+    // ------------------------------------------------------------------ execute
+
+    /**
+     * Compile and run through an export; compile errors are reported like query errors
+     */
+    dispatch(compile, exportName, fallback, callback, options, transform = null) {
+        const merged = this.mergeOptions(callback, options);
+        let done = typeof callback === 'function' ? callback : undefined;
+        if (transform && done) {
+            const userCallback = done;
+            done = (result, error) => userCallback(error ? result : transform(result), error);
+        }
+
+        let pending;
+        try {
+            const compiled = compile();
+            pending = this.runner[exportName](compiled.query, compiled.parameters, done, merged);
+        } catch (error) {
+            pending = this.runner.fail(error, `Query builder failed (${this.tableSql})`, fallback, done, merged);
+        }
+        // undefined: a strict failure already handed to the callback
+        return transform ? pending.then((result) => (result === undefined ? result : transform(result))) : pending;
+    }
+
+    /**
+     * Defaults + call options (a table passed in the callback position is the options)
+     */
+    mergeOptions(callback, options) {
+        const callOptions = callback && typeof callback === 'object' ? callback : options;
+        return { ...this.defaults, ...(callOptions && typeof callOptions === 'object' ? callOptions : {}) };
+    }
+
+    get(callback, options) {
+        return this.dispatch(() => this.toSelect(), 'query', [], callback, options);
+    }
+
+    first(callback, options) {
+        return this.dispatch(() => this.toSelect(1), 'fetchSingle', null, callback, options);
+    }
+
+    value(column, callback, options) {
+        return this.dispatch(
+            () => this.toSelect(1, null, column ? { columns: [quoteColumn(column)], params: [] } : null),
+            'fetchScalar', null, callback, options
+        );
+    }
+
+    count(callback, options) {
+        // COUNT(*) is a BIGINT: a number whatever bigint casting says
+        return this.dispatch(() => this.toCountQuery(), 'fetchScalar', 0, callback, options, Number);
+    }
+
+    /**
+     * Fetch one page of keyset pagination
+     * @param {number} pageSize - Rows per page
+     * @param {string} [cursor] - Cursor of the previous page (omit for the first page)
+     * @returns {Promise<{ rows: Array, cursor: string|null, hasMore: boolean }>} cursor is null on the last page
+     */
+    paginate(pageSize, cursor, callback, options) {
+        if (cursor && typeof cursor !== 'string') {
+            options = callback;
+            callback = cursor;
+            cursor = null;
+        }
+        const size = parseInt(pageSize);
+        return this.dispatch(() => this.toPage(pageSize, cursor), 'query', [], callback, options, (rows) => {
+            const hasMore = rows.length > size;
+            const page = hasMore ? rows.slice(0, size) : rows;
+            return { rows: page, cursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null, hasMore };
+        });
+    }
+
+    insert(rows, callback, options) {
+        return this.dispatch(() => this.toInsert(rows), 'insert', 0, callback, options);
+    }
+
+    insertIgnore(rows, callback, options) {
+        return this.dispatch(() => this.toInsert(rows, { ignore: true }), 'insert', 0, callback, options);
+    }
+
+    /**
+     * INSERT ... ON DUPLICATE KEY UPDATE
+     * @param {Array<string>} [updateColumns] - Columns to overwrite on conflict (default: all inserted columns)
+     * @returns affectedRows (1 per inserted row, 2 per updated row)
+     */
+    upsert(rows, updateColumns, callback, options) {
+        if (typeof updateColumns === 'function' || (updateColumns && typeof updateColumns === 'object' && !Array.isArray(updateColumns) && callback === undefined)) {
+            options = callback;
+            callback = updateColumns;
+            updateColumns = null;
+        }
+        return this.dispatch(() => this.toInsert(rows, { updateColumns: updateColumns ? toArray(updateColumns) : [] }), 'update', 0, callback, options);
+    }
+
+    update(values, callback, options) {
+        return this.dispatch(() => this.toUpdate(values), 'update', 0, callback, options);
+    }
+
+    increment(column, amount = 1, callback, options) {
+        return this.dispatch(() => this.toIncrement(column, amount), 'update', 0, callback, options);
+    }
+
+    decrement(column, amount = 1, callback, options) {
+        return this.dispatch(() => this.toIncrement(column, -Number(amount)), 'update', 0, callback, options);
+    }
+
+    delete(callback, options) {
+        return this.dispatch(() => this.toDelete(), 'update', 0, callback, options);
+    }
+}
+
+/**
+ * Approximate bytes a bound value takes in the statement packet
+ */
+function estimateValueSize(value) {
+    if (value === null || value === undefined) return 1;
+    if (typeof value === 'string') return Buffer.byteLength(value) + 9;
+    if (Buffer.isBuffer(value)) return value.length + 9;
+    if (typeof value === 'object' && !(value instanceof Date)) {
+        try {
+            return Buffer.byteLength(JSON.stringify(value)) + 9;
+        } catch (error) {
+            return 9;
+        }
+    }
+    return 9;
+}
+
+/**
+ * Split rows into multi-row INSERT statements
+ * A chunk ends at maxRows rows, at maxBytes of estimated packet size, or before the
+ * 65535 placeholder limit of prepared statements, whichever comes first
+ * @param {string} tableName - Table name
+ * @param {Object|Array<Object>} rows - Row objects
+ * @param {Object} options - { mode: 'insert'|'ignore'|'upsert', updateColumns, maxRows, maxBytes }
+ * @returns {Array<{ query: string, parameters: Array, rows: number }>}
+ */
+function compileBulkInsert(tableName, rows, { mode = 'insert', updateColumns = null, maxRows = 1000, maxBytes = 4 * 1024 * 1024 } = {}) {
+    if (!['insert', 'ignore', 'upsert'].includes(mode)) {
+        throw builderError(`Invalid bulk insert mode: ${mode} (use insert, ignore or upsert)`);
+    }
+    const builder = new QueryBuilder(tableName, null);
+    const list = toRows(rows);
+    const compileOptions = {
+        ignore: mode === 'ignore',
+        updateColumns: mode === 'upsert' ? (updateColumns ? toArray(updateColumns) : []) : null
+    };
+    // Statement text outside the VALUES lists, with room for the column and update lists
+    const overhead = 1024 + Object.keys(list[0]).length * 64;
+
+    const chunks = [];
+    let chunk = [];
+    let chunkBytes = overhead;
+    let chunkParams = 0;
+    const flush = () => {
+        if (chunk.length === 0) return;
+        chunks.push({ ...builder.toInsert(chunk, compileOptions), rows: chunk.length });
+        chunk = [];
+        chunkBytes = overhead;
+        chunkParams = 0;
+    };
+
+    for (const row of list) {
+        const values = Object.values(row);
+        const rowBytes = values.reduce((total, value) => total + estimateValueSize(value) + 3, 3);
+        if (chunk.length > 0 && (chunk.length >= maxRows || chunkBytes + rowBytes > maxBytes || chunkParams + values.length > MAX_PLACEHOLDERS)) {
+            flush();
+        }
+        chunk.push(row);
+        chunkBytes += rowBytes;
+        chunkParams += values.length;
+    }
+    flush();
+    return chunks;
+}
+
+/**
+ * Wrap a builder in a plain object of closures so it survives being passed to Lua
+ * Chain methods return the same handle; terminal methods return the query result
+ * @param {QueryBuilder} builder - Underlying builder
+ * @returns {Object} Builder handle
+ */
+function createBuilderHandle(builder) {
+    const handle = {};
+    const chain = ['select', 'selectRaw', 'where', 'orWhere', 'whereIn', 'whereNotIn', 'whereNull', 'whereNotNull',
+        'whereRaw', 'join', 'leftJoin', 'rightJoin', 'groupBy', 'orderBy', 'limit', 'offset', 'allowNoWhere'];
+    const terminal = ['get', 'first', 'value', 'count', 'paginate', 'insert', 'insertIgnore', 'upsert', 'update', 'increment', 'decrement', 'delete'];
+
+    for (const method of chain) {
+        handle[method] = (...args) => {
+            builder[method](...args);
+            return handle;
+        };
+    }
+    for (const method of terminal) {
+        handle[method] = (...args) => builder[method](...args);
+    }
+
+    // Compiled SQL without running it (SELECT)
+    handle.toSQL = () => builder.toSelect();
+    return handle;
+}
+
+/**
+ * Create a builder handle for a table
+ * @param {string} tableName - Table name
+ * @param {Object} runner - Export functions used to run compiled queries
+ * @param {Object} [defaults] - Options merged into every call
+ */
+function createBuilder(tableName, runner, defaults) {
+    return createBuilderHandle(new QueryBuilder(tableName, runner, defaults));
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlBuilder = {
+    QueryBuilder,
+    createBuilder,
+    compileBulkInsert
+};
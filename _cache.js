@@ -0,0 +1,267 @@
+/**
+ * Query Result Cache
+ * Opt-in cache for read queries: `{ cache = 60000 }` (TTL in ms) or `{ cache = true }`
+ * (default TTL) in the options of query/fetchSingle/fetchScalar.
+ *
+ * Entries are keyed by connection, normalized SQL and parameter values, and are
+ * indexed by the tables the query reads. Any write that goes through ingenium.sql
+ * (insert/update/execute/batch/transaction/prepared statements) drops the entries
+ * of the tables it touches; a write whose tables cannot be determined (CALL, ...)
+ * drops every entry of that connection, and a read whose tables cannot be determined
+ * is not cached. Tables come from the query tokens (sqlParser.referencedTables).
+ * Writes made outside ingenium.sql are only picked up when the TTL expires.
+ *
+ * Memory is capped (mysql_cache_max_memory, in MB); the least recently used entries
+ * are evicted first.
+ */
+
+const CACHE_DEFAULT_TTL = Math.max(1, parseInt(GetConvar('mysql_cache_default_ttl', '60000')) || 60000);
+const CACHE_MAX_MEMORY = Math.floor(Math.max(0, parseFloat(GetConvar('mysql_cache_max_memory', '32')) || 0) * 1024 * 1024);
+const CACHE_SWEEP_INTERVAL = 60000;
+
+// Statements that never change table data
+const NON_WRITING_STATEMENT = /^\s*(?:SET|DO|USE|BEGIN|START\s+TRANSACTION|COMMIT|ROLLBACK|SAVEPOINT|RELEASE\s+SAVEPOINT|SELECT|SHOW|DESCRIBE|DESC|EXPLAIN)\b/i;
+
+/**
+ * Lower-case table name without backticks or schema prefix
+ */
+function normalizeTableName(reference) {
+    const parts = reference.split('.');
+    return parts[parts.length - 1].trim().replace(/`/g, '').toLowerCase();
+}
+
+/**
+ * Collapse whitespace outside quoted strings and identifiers
+ * @param {string} sql - Query text
+ * @returns {string}
+ */
+function normalizeSql(sql) {
+    let output = '';
+    let quote = null;
+    let pendingSpace = false;
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        if (quote) {
+            output += char;
+            if (char === '\\' && quote !== '`' && i + 1 < sql.length) {
+                output += sql[++i];
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        if (/\s/.test(char)) {
+            pendingSpace = output.length > 0;
+            continue;
+        }
+        if (pendingSpace) {
+            output += ' ';
+            pendingSpace = false;
+        }
+        if (char === '\'' || char === '"' || char === '`') {
+            quote = char;
+        }
+        output += char;
+    }
+    return output;
+}
+
+/**
+ * Tables changed by a statement
+ * @param {string} sql - Query text
+ * @returns {string[]|null} Table names, [] for statements that change nothing,
+ *   or null when the tables cannot be determined (invalidate everything)
+ */
+function writtenTables(sql) {
+    if (NON_WRITING_STATEMENT.test(sql)) {
+        return [];
+    }
+    // Every table the statement references, so multi-table UPDATE/DELETE cover the joined tables
+    return global.sqlParser.referencedTables(sql);
+}
+
+class QueryCache {
+    constructor() {
+        this.entries = new Map();     // key -> { value, size, expiresAt, connection, tables }
+        this.tableIndex = new Map();  // "connection\0table" -> Set<key>
+        this.memory = 0;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,     // Removed to stay under the memory cap
+            expirations: 0,   // Removed because the TTL elapsed
+            invalidations: 0  // Removed because a write touched one of their tables
+        };
+
+        setInterval(() => this.sweep(), CACHE_SWEEP_INTERVAL);
+    }
+
+    /**
+     * Cache key for a query, or null if the parameters cannot be serialized
+     */
+    key(connection, sql, params) {
+        try {
+            return `${connection}\u0000${normalizeSql(sql)}\u0000${JSON.stringify(params || [])}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Look up a cached result
+     * @returns {*} Cached value, or undefined on a miss
+     */
+    get(connection, sql, params) {
+        const key = this.key(connection, sql, params);
+        const entry = key && this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.remove(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end (Map preserves insertion order)
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a result
+     * @param {number|boolean} ttl - Milliseconds, or true for the default TTL
+     */
+    set(connection, sql, params, value, ttl) {
+        if (CACHE_MAX_MEMORY <= 0) return;
+        const key = this.key(connection, sql, params);
+        if (!key) return;
+
+        let size;
+        try {
+            // Rough UTF-16 footprint of the key and the serialized rows
+            size = (key.length + JSON.stringify(value).length) * 2;
+        } catch (error) {
+            return;
+        }
+        if (size > CACHE_MAX_MEMORY) return;
+
+        // Without its tables the entry could never be invalidated
+        const tables = global.sqlParser.referencedTables(sql);
+        if (!tables) return;
+
+        this.remove(key);
+        const lifetime = ttl === true ? CACHE_DEFAULT_TTL : Math.max(1, parseInt(ttl) || CACHE_DEFAULT_TTL);
+        this.entries.set(key, { value, size, expiresAt: Date.now() + lifetime, connection, tables });
+        this.memory += size;
+
+        for (const table of tables) {
+            const indexKey = `${connection}\u0000${table}`;
+            if (!this.tableIndex.has(indexKey)) {
+                this.tableIndex.set(indexKey, new Set());
+            }
+            this.tableIndex.get(indexKey).add(key);
+        }
+
+        // Evict least recently used entries
+        while (this.memory > CACHE_MAX_MEMORY && this.entries.size > 0) {
+            this.remove(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Drop an entry and its table index references
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.memory -= entry.size;
+        for (const table of entry.tables) {
+            const indexKey = `${entry.connection}\u0000${table}`;
+            const keys = this.tableIndex.get(indexKey);
+            if (keys) {
+                keys.delete(key);
+                if (keys.size === 0) {
+                    this.tableIndex.delete(indexKey);
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop the entries of the given tables
+     * @param {string} connection - Connection name
+     * @param {string[]|null} tables - Table names, or null for every entry of the connection
+     */
+    invalidateTables(connection, tables) {
+        if (this.entries.size === 0) return;
+        let keys;
+        if (tables === null) {
+            keys = [...this.entries].filter(([, entry]) => entry.connection === connection).map(([key]) => key);
+        } else {
+            keys = [];
+            for (const table of tables) {
+                const indexed = this.tableIndex.get(`${connection}\u0000${normalizeTableName(table)}`);
+                if (indexed) keys.push(...indexed);
+            }
+        }
+        for (const key of keys) {
+            if (this.entries.has(key)) {
+                this.remove(key);
+                this.stats.invalidations++;
+            }
+        }
+    }
+
+    /**
+     * Drop the entries a statement may have made stale
+     * @param {string} connection - Connection name
+     * @param {string} sql - Statement that was executed
+     */
+    invalidate(connection, sql) {
+        const tables = writtenTables(sql);
+        if (tables === null || tables.length > 0) {
+            this.invalidateTables(connection, tables);
+        }
+    }
+
+    /**
+     * Remove expired entries
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.remove(key);
+                this.stats.expirations++;
+            }
+        }
+    }
+
+    /**
+     * Zero the hit, miss and eviction counters (entries are kept)
+     */
+    resetStats() {
+        for (const key of Object.keys(this.stats)) {
+            this.stats[key] = 0;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            memoryBytes: this.memory,
+            maxMemoryBytes: CACHE_MAX_MEMORY
+        };
+    }
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlCache = new QueryCache();
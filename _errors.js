@@ -0,0 +1,200 @@
+/**
+ * Structured SQL Errors
+ * Normalizes mysql2 and ingenium.sql failures into SqlError objects that carry
+ * the MySQL error code, SQL state, a categorized kind, the calling resource and
+ * a sanitized copy of the query.
+ *
+ * Kinds:
+ * - connection: pool not ready, connection refused/lost/reset, access denied
+ * - constraint: duplicate key, foreign key, NOT NULL, data too long (SQLSTATE 23xxx)
+ * - deadlock:   deadlocks and lock wait timeouts
+ * - syntax:     parse errors, unknown tables/columns (SQLSTATE 42xxx)
+ * - timeout:    query or protocol timeouts
+ * - busy:       the query queue of the lane is full, or a backup/restore is already running
+ * - parameter:  missing or malformed query parameters
+ * - permission: denied by the resource permission policy (see _permissions.js)
+ * - unknown:    anything else
+ */
+
+const ERROR_KIND_BY_CODE = {
+    POOL_NOT_READY: 'connection',
+    PROTOCOL_CONNECTION_LOST: 'connection',
+    ECONNREFUSED: 'connection',
+    ECONNRESET: 'connection',
+    EPIPE: 'connection',
+    ENOTFOUND: 'connection',
+    EHOSTUNREACH: 'connection',
+    ER_CON_COUNT_ERROR: 'connection',
+    ER_ACCESS_DENIED_ERROR: 'connection',
+    ER_DBACCESS_DENIED_ERROR: 'connection',
+    ER_SERVER_SHUTDOWN: 'connection',
+
+    ER_DUP_ENTRY: 'constraint',
+    ER_NO_REFERENCED_ROW: 'constraint',
+    ER_NO_REFERENCED_ROW_2: 'constraint',
+    ER_ROW_IS_REFERENCED: 'constraint',
+    ER_ROW_IS_REFERENCED_2: 'constraint',
+    ER_BAD_NULL_ERROR: 'constraint',
+    ER_NO_DEFAULT_FOR_FIELD: 'constraint',
+    ER_DATA_TOO_LONG: 'constraint',
+    ER_WARN_DATA_OUT_OF_RANGE: 'constraint',
+    ER_TRUNCATED_WRONG_VALUE: 'constraint',
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 'constraint',
+    ER_CHECK_CONSTRAINT_VIOLATED: 'constraint',
+
+    ER_LOCK_DEADLOCK: 'deadlock',
+    ER_LOCK_WAIT_TIMEOUT: 'deadlock',
+
+    ER_PARSE_ERROR: 'syntax',
+    ER_BAD_FIELD_ERROR: 'syntax',
+    ER_NO_SUCH_TABLE: 'syntax',
+    ER_BAD_TABLE_ERROR: 'syntax',
+    ER_WRONG_VALUE_COUNT_ON_ROW: 'syntax',
+    ER_NON_UNIQ_ERROR: 'syntax',
+    ER_SP_DOES_NOT_EXIST: 'syntax',
+    INVALID_QUERY: 'syntax',
+
+    ETIMEDOUT: 'timeout',
+    PROTOCOL_SEQUENCE_TIMEOUT: 'timeout',
+    ER_QUERY_TIMEOUT: 'timeout',
+    ER_QUERY_INTERRUPTED: 'timeout',
+    QUERY_TIMEOUT: 'timeout',
+
+    QUEUE_FULL: 'busy',
+    BACKUP_IN_PROGRESS: 'busy',
+
+    INVALID_PARAMETERS: 'parameter',
+    UNKNOWN_CONNECTION: 'parameter',
+    ER_WRONG_ARGUMENTS: 'parameter',
+
+    PERMISSION_DENIED: 'permission'
+};
+
+const SANITIZED_QUERY_MAX_LENGTH = 500;
+
+/**
+ * Categorize an error by MySQL code, falling back to its SQL state class
+ * @param {Error} error - mysql2 or ingenium.sql error
+ * @returns {string} Error kind
+ */
+function classifyError(error) {
+    if (error.code && ERROR_KIND_BY_CODE[error.code]) {
+        return ERROR_KIND_BY_CODE[error.code];
+    }
+    if (typeof error.sqlState === 'string') {
+        if (error.sqlState.startsWith('23')) return 'constraint';
+        if (error.sqlState.startsWith('42')) return 'syntax';
+        if (error.sqlState.startsWith('08')) return 'connection';
+        if (error.sqlState === '40001') return 'deadlock';
+    }
+    if (error.fatal) {
+        return 'connection';
+    }
+    return 'unknown';
+}
+
+/**
+ * Remove literal values from a query so it can be logged or returned safely
+ * String literals become '?' and whitespace is collapsed
+ * @param {string} sql - Query text
+ * @returns {string|null} Sanitized query
+ */
+function sanitizeQuery(sql) {
+    if (typeof sql !== 'string') {
+        return null;
+    }
+    const stripped = sql
+        .replace(/'(?:[^'\\]|\\.|'')*'/g, '\'?\'')
+        .replace(/"(?:[^"\\]|\\.|"")*"/g, '"?"')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return stripped.length > SANITIZED_QUERY_MAX_LENGTH
+        ? `${stripped.substring(0, SANITIZED_QUERY_MAX_LENGTH)}...`
+        : stripped;
+}
+
+class SqlError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} details - { code, errno, sqlState, kind, resource, query }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SqlError';
+        this.code = details.code || null;
+        this.errno = details.errno || null;
+        this.sqlState = details.sqlState || null;
+        this.kind = details.kind || 'unknown';
+        this.resource = details.resource || null;
+        this.query = details.query || null;
+    }
+
+    /**
+     * Wrap any error thrown while running a query
+     * @param {Error} error - Original error (returned as-is if already a SqlError)
+     * @param {Object} context - { resource, query }
+     * @returns {SqlError}
+     */
+    static from(error, context = {}) {
+        if (error instanceof SqlError) {
+            return error;
+        }
+        const wrapped = new SqlError(error.sqlMessage || error.message, {
+            code: error.code,
+            errno: error.errno,
+            sqlState: error.sqlState,
+            kind: classifyError(error),
+            resource: context.resource,
+            query: sanitizeQuery(context.query || error.sql)
+        });
+        wrapped.cause = error;
+        return wrapped;
+    }
+
+    /**
+     * Plain object form, safe to pass to Lua callbacks
+     */
+    toJSON() {
+        return {
+            message: this.message,
+            code: this.code,
+            errno: this.errno,
+            sqlState: this.sqlState,
+            kind: this.kind,
+            resource: this.resource,
+            query: this.query
+        };
+    }
+}
+
+// Resources opt into strict mode with `sql_strict_mode 'yes'` in their fxmanifest
+const strictResources = new Map();
+
+/**
+ * Whether a resource declared strict mode in its manifest (cached per resource)
+ * @param {string} resourceName - Resource name
+ * @returns {boolean}
+ */
+function isStrictResource(resourceName) {
+    if (!resourceName) {
+        return false;
+    }
+    if (!strictResources.has(resourceName)) {
+        const value = GetResourceMetadata(resourceName, 'sql_strict_mode', 0);
+        strictResources.set(resourceName, value === 'yes' || value === 'true');
+    }
+    return strictResources.get(resourceName);
+}
+
+// Re-read the manifest when a resource restarts
+on('onResourceStart', (resourceName) => {
+    strictResources.delete(resourceName);
+});
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlErrors = {
+    SqlError,
+    classifyError,
+    sanitizeQuery,
+    isStrictResource
+};
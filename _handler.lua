@@ -6,6 +6,26 @@
 if not ig then ig = {} end
 if not ig.sql then ig.sql = {} end
 
+--- Call a query export in strict mode and raise the structured error table on failure
+--- (a rejected export only reaches Lua as a string, a callback receives the full error)
+---@param exportName string Export to call
+---@param query string SQL query
+---@param parameters table Query parameters
+---@param options table Call options
+---@return any Export result
+local function strictCall(exportName, query, parameters, options)
+    local p = promise.new()
+    local sql = exports['ingenium.sql']
+    sql[exportName](sql, query, parameters, function(result, err)
+        if err then
+            p:reject(err)
+        else
+            p:resolve(result)
+        end
+    end, options)
+    return Citizen.Await(p)
+end
+
 -- ====================================================================================--
 -- Core Query Functions
 -- ====================================================================================--
@@ -14,8 +34,9 @@ if not ig.sql then ig.sql = {} end
 ---@param query string SQL query with ? placeholders or @named parameters
 ---@param parameters table|nil Query parameters (array for ? or table for @named)
 ---@param callback function|nil Optional callback(results)
+---@param options table|nil {strict = true} raises a structured error table instead of returning a default
 ---@return table Results array
-function ig.sql.Query(query, parameters, callback)
+function ig.sql.Query(query, parameters, callback, options)
     local params = parameters or {}
     local cb = callback
     
@@ -25,15 +46,20 @@ function ig.sql.Query(query, parameters, callback)
         params = {}
     end
     
-    return exports['ingenium.sql']:query(query, params, cb)
+    if cb == nil and options and options.strict then
+        return strictCall('query', query, params, options)
+    end
+    
+    return exports['ingenium.sql']:query(query, params, cb, options)
 end
 
 --- Execute a SELECT query that returns a single row
 ---@param query string SQL query
 ---@param parameters table|nil Query parameters
 ---@param callback function|nil Optional callback(result)
+---@param options table|nil {strict = true} raises a structured error table instead of returning a default
 ---@return table|nil Single row result
-function ig.sql.FetchSingle(query, parameters, callback)
+function ig.sql.FetchSingle(query, parameters, callback, options)
     local params = parameters or {}
     local cb = callback
     
@@ -42,15 +68,20 @@ function ig.sql.FetchSingle(query, parameters, callback)
         params = {}
     end
     
-    return exports['ingenium.sql']:fetchSingle(query, params, cb)
+    if cb == nil and options and options.strict then
+        return strictCall('fetchSingle', query, params, options)
+    end
+    
+    return exports['ingenium.sql']:fetchSingle(query, params, cb, options)
 end
 
 --- Execute a SELECT query that returns a single value
 ---@param query string SQL query
 ---@param parameters table|nil Query parameters
 ---@param callback function|nil Optional callback(value)
+---@param options table|nil {strict = true} raises a structured error table instead of returning a default
 ---@return any Single scalar value
-function ig.sql.FetchScalar(query, parameters, callback)
+function ig.sql.FetchScalar(query, parameters, callback, options)
     local params = parameters or {}
     local cb = callback
     
@@ -59,15 +90,20 @@ function ig.sql.FetchScalar(query, parameters, callback)
         params = {}
     end
     
-    return exports['ingenium.sql']:fetchScalar(query, params, cb)
+    if cb == nil and options and options.strict then
+        return strictCall('fetchScalar', query, params, options)
+    end
+    
+    return exports['ingenium.sql']:fetchScalar(query, params, cb, options)
 end
 
 --- Execute an INSERT query
 ---@param query string SQL INSERT query
 ---@param parameters table|nil Query parameters
 ---@param callback function|nil Optional callback(insertId)
+---@param options table|nil {strict = true} raises a structured error table instead of returning a default
 ---@return number Insert ID
-function ig.sql.Insert(query, parameters, callback)
+function ig.sql.Insert(query, parameters, callback, options)
     local params = parameters or {}
     local cb = callback
     
@@ -76,15 +112,20 @@ function ig.sql.Insert(query, parameters, callback)
         params = {}
     end
     
-    return exports['ingenium.sql']:insert(query, params, cb)
+    if cb == nil and options and options.strict then
+        return strictCall('insert', query, params, options)
+    end
+    
+    return exports['ingenium.sql']:insert(query, params, cb, options)
 end
 
 --- Execute an UPDATE or DELETE query
 ---@param query string SQL UPDATE/DELETE query
 ---@param parameters table|nil Query parameters
 ---@param callback function|nil Optional callback(affectedRows)
+---@param options table|nil {strict = true} raises a structured error table instead of returning a default
 ---@return number Affected rows count
-function ig.sql.Update(query, parameters, callback)
+function ig.sql.Update(query, parameters, callback, options)
     local params = parameters or {}
     local cb = callback
     
@@ -93,43 +134,255 @@ function ig.sql.Update(query, parameters, callback)
         params = {}
     end
     
-    return exports['ingenium.sql']:update(query, params, cb)
+    if cb == nil and options and options.strict then
+        return strictCall('update', query, params, options)
+    end
+    
+    return exports['ingenium.sql']:update(query, params, cb, options)
 end
 
 --- Execute multiple queries in a transaction
 ---@param queries table Array of {query, parameters} objects
----@param callback function|nil Optional callback(success, results)
----@return table {success, results}
-function ig.sql.Transaction(queries, callback)
-    return exports['ingenium.sql']:transaction(queries, callback)
+---@param callback function|nil Optional callback(success, results, error)
+---@param options table|nil {strict = true} raises a structured error table on failure
+---@return table {success, results, error}
+function ig.sql.Transaction(queries, callback, options)
+    return exports['ingenium.sql']:transaction(queries, callback, options)
+end
+
+--- Begin an interactive transaction
+--- The handle exposes query/fetchSingle/fetchScalar/insert/update, begin (savepoint), commit and rollback
+---@param options table|nil {transactionTimeout = ms, timeout = ms per statement}
+---@return table|nil Transaction handle, or nil if the pool is not ready
+function ig.sql.BeginTransaction(options)
+    return exports['ingenium.sql']:beginTransaction(options)
+end
+
+--- Run a function inside a transaction (commits on success, rolls back on error or false)
+---@param fn function Function receiving the transaction handle
+---@param options table|nil {transactionTimeout = ms, timeout = ms per statement}
+---@return boolean True if committed
+function ig.sql.StartTransaction(fn, options)
+    return exports['ingenium.sql']:startTransaction(fn, options)
 end
 
 --- Execute multiple queries as a batch (without transaction)
 ---@param queries table Array of {query, parameters} objects
 ---@param callback function|nil Optional callback(results)
+---@param options table|nil {strict = true} raises a structured error on failure
 ---@return table Results array
-function ig.sql.Batch(queries, callback)
-    return exports['ingenium.sql']:batch(queries, callback)
+function ig.sql.Batch(queries, callback, options)
+    return exports['ingenium.sql']:batch(queries, callback, options)
+end
+
+--- Insert many rows with chunked multi-row INSERT statements
+---@param tableName string Table name
+---@param rows table Array of {column = value} rows
+---@param callback function|nil Optional callback(summary)
+---@param options table|nil {mode = 'insert'|'ignore'|'upsert', updateColumns, chunkSize, transaction = true}
+---@return table {affectedRows, insertIds, chunks}
+function ig.sql.BulkInsert(tableName, rows, callback, options)
+    if callback == nil and options and options.strict then
+        return strictCall('bulkInsert', tableName, rows, options)
+    end
+
+    return exports['ingenium.sql']:bulkInsert(tableName, rows, callback, options)
+end
+
+--- Stream the rows of a SELECT in batches instead of loading them all at once
+--- Reading pauses while onBatch runs; return false from onBatch to stop early
+---@param query string Read-only SQL query
+---@param parameters table|nil Query parameters
+---@param onBatch function Callback(rows, batchNumber)
+---@param options table|nil {batchSize = 500} plus the usual call options
+---@return table {rows, batches, cancelled}
+function ig.sql.Stream(query, parameters, onBatch, options)
+    return exports['ingenium.sql']:stream(query, parameters or {}, onBatch, options)
 end
 
 -- ====================================================================================--
 -- Prepared Statements (for compatibility with MySQL.Async.store pattern)
 -- ====================================================================================--
 
---- Prepare a query for later execution (returns query ID)
+--- Prepare a statement on the server under a stable name
+--- Also accepts (query, options); the name is then derived from the query text
+---@param name string Statement name (re-preparing the same name and query is a no-op)
 ---@param query string SQL query to prepare
----@return string Query ID
-function ig.sql.PrepareQuery(query)
-    return exports['ingenium.sql']:prepareQuery(query)
+---@param options table|nil {type = 'rows'|'single'|'scalar'|'insert'|'update'}
+---@return string|nil Statement name, or nil if the query is invalid
+function ig.sql.PrepareQuery(name, query, options)
+    return exports['ingenium.sql']:prepareQuery(name, query, options)
 end
 
---- Execute a prepared query
----@param queryId string Query ID from PrepareQuery
+--- Execute a prepared statement
+---@param name string Statement name from PrepareQuery
 ---@param parameters table Query parameters
----@param callback function|nil Optional callback(affectedRows)
+---@param callback function|nil Optional callback(result)
+---@return any Result in the shape chosen at prepare time
+function ig.sql.ExecutePrepared(name, parameters, callback)
+    return exports['ingenium.sql']:executePrepared(name, parameters, callback)
+end
+
+--- Release a prepared statement
+---@param name string Statement name
+---@return boolean True if the statement existed
+function ig.sql.ReleasePrepared(name)
+    return exports['ingenium.sql']:releasePrepared(name)
+end
+
+-- ====================================================================================--
+-- Query Builder
+-- ====================================================================================--
+
+--- Start a fluent query on a table (chain with a dot: qb.where('job', 'police').orderBy('name').get())
+--- Chain: select, where, orWhere, whereIn, whereNotIn, whereNull, whereNotNull, whereRaw, join,
+--- leftJoin, groupBy, orderBy, limit, offset, allowNoWhere
+--- Run: get, first, value, count, paginate, insert, insertIgnore, upsert, update, increment, decrement, delete
+---@param tableName string Table name
+---@param options table|nil Call options applied to every query of the builder
+---@return table|nil Builder handle, or nil if the table name is invalid
+function ig.sql.Table(tableName, options)
+    return exports['ingenium.sql']:table(tableName, options)
+end
+
+--- Apply an optional {column = value} filter to a builder
+local function filtered(tableName, where, options)
+    local qb = ig.sql.Table(tableName, options)
+    if qb and where then
+        qb.where(where)
+    end
+    return qb
+end
+
+--- Select the rows matching {column = value} (array values mean IN)
+---@param tableName string Table name
+---@param where table|nil Column filter
+---@param options table|nil Call options
+---@return table Rows
+function ig.sql.Select(tableName, where, options)
+    local qb = filtered(tableName, where, options)
+    return qb and qb.get() or {}
+end
+
+--- Select the first row matching {column = value}
+---@param tableName string Table name
+---@param where table|nil Column filter
+---@param options table|nil Call options
+---@return table|nil Row
+function ig.sql.SelectOne(tableName, where, options)
+    local qb = filtered(tableName, where, options)
+    return qb and qb.first() or nil
+end
+
+--- Fetch one page of rows matching {column = value}, ordered by a key column
+--- Pass the returned cursor to get the next page; it is nil on the last page
+---@param tableName string Table name
+---@param where table|nil Column filter
+---@param cursor string|nil Cursor from the previous page
+---@param options table|nil {pageSize = 50, orderBy = 'id'} plus the usual call options
+---@return table {rows, cursor, hasMore}
+function ig.sql.Paginate(tableName, where, cursor, options)
+    options = options or {}
+    local qb = filtered(tableName, where, options)
+    if not qb then
+        return {rows = {}, cursor = nil, hasMore = false}
+    end
+    qb.orderBy(options.orderBy or 'id')
+    return qb.paginate(options.pageSize or 50, cursor)
+end
+
+--- Insert one row ({column = value}) or an array of rows
+---@param tableName string Table name
+---@param rows table Row or array of rows
+---@param options table|nil Call options
+---@return number|nil Insert ID (of the first row)
+function ig.sql.InsertRow(tableName, rows, options)
+    local qb = ig.sql.Table(tableName, options)
+    return qb and qb.insert(rows) or nil
+end
+
+--- Insert rows, updating existing ones on a duplicate key (ON DUPLICATE KEY UPDATE)
+---@param tableName string Table name
+---@param rows table Row or array of rows
+---@param updateColumns table|nil Columns to overwrite on conflict (default: all inserted columns)
+---@param options table|nil Call options
+---@return number Affected rows (1 per inserted row, 2 per updated row)
+function ig.sql.Upsert(tableName, rows, updateColumns, options)
+    local qb = ig.sql.Table(tableName, options)
+    return qb and qb.upsert(rows, updateColumns) or 0
+end
+
+--- Update the rows matching {column = value}; refuses to run without a filter
+---@param tableName string Table name
+---@param values table {column = value} to set
+---@param where table Column filter
+---@param options table|nil Call options
 ---@return number Affected rows
-function ig.sql.ExecutePrepared(queryId, parameters, callback)
-    return exports['ingenium.sql']:executePrepared(queryId, parameters, callback)
+function ig.sql.UpdateWhere(tableName, values, where, options)
+    local qb = filtered(tableName, where, options)
+    return qb and qb.update(values) or 0
+end
+
+--- Delete the rows matching {column = value}; refuses to run without a filter
+---@param tableName string Table name
+---@param where table Column filter
+---@param options table|nil Call options
+---@return number Affected rows
+function ig.sql.DeleteWhere(tableName, where, options)
+    local qb = filtered(tableName, where, options)
+    return qb and qb.delete() or 0
+end
+
+-- ====================================================================================--
+-- Schema Migrations
+-- ====================================================================================--
+
+--- Apply pending schema migrations
+--- Untrusted resources may only migrate themselves (GetCurrentResourceName())
+---@param resourceName string|nil Limit to a single resource (default: all)
+---@param callback function|nil Optional callback(success, applied)
+---@return table {success, applied, error}
+function ig.sql.Migrate(resourceName, callback)
+    return exports['ingenium.sql']:migrate(resourceName, callback)
+end
+
+--- Roll back the most recent migrations of a resource
+--- Untrusted resources may only roll back their own migrations
+---@param resourceName string Resource to roll back
+---@param steps number|nil Number of migrations to revert (default 1)
+---@param callback function|nil Optional callback(success, reverted)
+---@return table {success, reverted, error}
+function ig.sql.Rollback(resourceName, steps, callback)
+    return exports['ingenium.sql']:rollback(resourceName, steps, callback)
+end
+
+--- Get the state of declared migrations
+--- Untrusted resources may only read their own
+---@param resourceName string|nil Limit to a single resource (default: all)
+---@return table Array of {resource, version, name, applied, appliedAt, changed}
+function ig.sql.MigrationStatus(resourceName)
+    return exports['ingenium.sql']:migrationStatus(resourceName)
+end
+
+-- ====================================================================================--
+-- Backups
+-- ====================================================================================--
+
+--- Dump tables (schema and rows) to a file in the backup directory (mysql_backup_dir)
+---@param options table|nil {tables, format = 'sql'|'jsonl', file, schema, data, chunkRows, connection}
+---@param callback function|nil Optional callback(summary)
+---@return table|nil {file, format, tables, rows, bytes, duration}, nil if the backup failed
+function ig.sql.Backup(options, callback)
+    return exports['ingenium.sql']:backup(options or {}, callback)
+end
+
+--- Replay a backup file from the backup directory, in chunked transactions
+---@param file string File name in the backup directory
+---@param options table|nil {format, chunkRows, connection}
+---@param callback function|nil Optional callback(summary)
+---@return table|nil {file, format, statements, rows, chunks, duration}, nil if the restore failed
+function ig.sql.Restore(file, options, callback)
+    return exports['ingenium.sql']:restore(file, options or {}, callback)
 end
 
 -- ====================================================================================--
@@ -137,38 +390,47 @@ end
 -- ====================================================================================--
 
 --- Check if SQL connection is ready
+---@param connection string|nil Named connection (default: main connection)
 ---@return boolean True if ready
-function ig.sql.IsReady()
-    return exports['ingenium.sql']:isReady()
+function ig.sql.IsReady(connection)
+    return exports['ingenium.sql']:isReady(connection)
 end
 
---- Wait for SQL connection to be ready (OPTIMIZED with exponential backoff)
----@param timeout number|nil Timeout in milliseconds (default 30000)
+--- Wait for SQL connection to be ready (startup, or recovery after a lost connection)
+---@param timeout number|nil Timeout in milliseconds (default 30000, 0 waits forever)
 ---@return boolean True if ready, false if timeout
 function ig.sql.AwaitReady(timeout)
-    local maxWait = timeout or 30000
-    local waited = 0
-    local interval = 50  -- Start with shorter interval
-    local maxInterval = 500  -- Cap the maximum wait interval
-    
-    while not ig.sql.IsReady() and waited < maxWait do
-        Citizen.Wait(interval)
-        waited = waited + interval
-        
-        -- Exponential backoff: double the interval up to maxInterval
-        -- This reduces CPU usage while still being responsive initially
-        if interval < maxInterval then
-            interval = math.min(interval * 2, maxInterval)
-        end
-    end
-    
-    return ig.sql.IsReady()
+    return exports['ingenium.sql']:awaitReady(timeout or 30000)
 end
 
 --- Get SQL performance statistics
+---@param connection string|table|nil Named connection (default: main connection), or {connection, byResource = true, topQueries}
 ---@return table Statistics object
-function ig.sql.GetStats()
-    return exports['ingenium.sql']:getStats()
+function ig.sql.GetStats(connection)
+    return exports['ingenium.sql']:getStats(connection)
+end
+
+--- Get recorded slow queries, newest first (each with parameters, duration, caller and EXPLAIN plan)
+---@param options table|nil {limit, resource, connection, since, minDuration, search, fromFile}
+---@return table Array of slow query records
+function ig.sql.GetSlowQueries(options)
+    return exports['ingenium.sql']:getSlowQueries(options or {})
+end
+
+--- Search the audit log of write statements, newest first (needs mysql_audit_log)
+---@param options table|nil {limit, resource, connection, type, since, search, failed}
+---@return table Array of audit records
+function ig.sql.GetAuditLog(options)
+    return exports['ingenium.sql']:getAuditLog(options or {})
+end
+
+--- Get an API bound to a named connection (configured with mysql_connections)
+--- The handle exposes query/fetchSingle/fetchScalar/insert/update/execute/stream/transaction/batch/bulkInsert,
+--- beginTransaction/startTransaction/prepareQuery/table, isReady/awaitReady and getStats
+---@param name string Connection name
+---@return table|nil Connection handle, or nil if the connection is not configured
+function ig.sql.GetConnection(name)
+    return exports['ingenium.sql']:getConnection(name)
 end
 
 -- ====================================================================================--
@@ -195,8 +457,19 @@ AddEventHandler('ingenium.sql:Ready', function()
     ig.log.Info("SQL Handler", "Database connection established")
 end)
 
+-- Connection state changes (connecting, ready, degraded, lost, recovered)
+AddEventHandler('ingenium.sql:ConnectionState', function(data)
+    if data.state == 'lost' then
+        ig.log.Error("SQL Handler", "Database connection lost: %s", data.error or 'unknown error')
+    elseif data.state == 'degraded' then
+        ig.log.Warn("SQL Handler", "Database health check failed: %s", data.error or 'unknown error')
+    elseif data.state == 'recovered' then
+        ig.log.Info("SQL Handler", "Database connection recovered")
+    end
+end)
+
 -- Slow query logging
 AddEventHandler('ingenium.sql:SlowQuery', function(data)
-    ig.log.Warn("SQL", "Slow query detected: %.2fms", data.duration)
+    ig.log.Warn("SQL", "Slow query detected: %.2fms (%s)", data.duration, data.resource or 'ingenium.sql')
     ig.log.Debug("SQL", "Query: %s", data.query)
 end)
@@ -0,0 +1,110 @@
+/**
+ * Rotating JSON Lines Log Files
+ * Appends one JSON record per line. When the file would grow past maxBytes it is
+ * renamed to <file>.1 (older files shift to .2, .3, ...) and a new file is started;
+ * files beyond maxFiles are deleted. Writes are queued, so records are never
+ * interleaved and the game thread never waits for the disk.
+ *
+ * Relative paths are resolved against the resource folder.
+ */
+
+const logFs = require('fs');
+const logPath = require('path');
+
+class RotatingLogFile {
+    /**
+     * @param {string} file - Log file path (relative to the resource folder, or absolute)
+     * @param {Object} [options] - { maxBytes (default 10 MB), maxFiles (rotated files kept, default 5) }
+     */
+    constructor(file, { maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+        this.file = logPath.isAbsolute(file) ? file : logPath.join(GetResourcePath(GetCurrentResourceName()), file);
+        this.maxBytes = Math.max(1024, maxBytes);
+        this.maxFiles = Math.max(0, maxFiles);
+        this.size = null;            // Current file size, read on the first write
+        this.queue = Promise.resolve();
+        this.failed = false;         // Log the first write error only
+    }
+
+    /**
+     * Append a record
+     * @param {Object} record - JSON-serializable record
+     */
+    append(record) {
+        let line;
+        try {
+            line = `${JSON.stringify(record)}\n`;
+        } catch (error) {
+            return;
+        }
+        this.queue = this.queue.then(() => this.write(line)).catch((error) => {
+            if (!this.failed) {
+                this.failed = true;
+                console.error(`^1[ig.sql ERROR] Cannot write ${this.file}: ${error.message}^7`);
+            }
+        });
+    }
+
+    async write(line) {
+        if (this.size === null) {
+            await logFs.promises.mkdir(logPath.dirname(this.file), { recursive: true });
+            this.size = await logFs.promises.stat(this.file).then((stat) => stat.size, () => 0);
+        }
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            await this.rotate();
+        }
+        await logFs.promises.appendFile(this.file, line);
+        this.size += bytes;
+        this.failed = false;
+    }
+
+    async rotate() {
+        const remove = (file) => logFs.promises.rm(file, { force: true });
+        if (this.maxFiles === 0) {
+            await remove(this.file);
+        } else {
+            await remove(`${this.file}.${this.maxFiles}`);
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                await logFs.promises.rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch(() => {});
+            }
+            await logFs.promises.rename(this.file, `${this.file}.1`);
+        }
+        this.size = 0;
+    }
+
+    /**
+     * Read records back, newest first, across the current and rotated files
+     * @param {Function} [filter] - Predicate on each record
+     * @param {number} [limit] - Maximum records returned
+     * @returns {Promise<Array<Object>>}
+     */
+    async read(filter = () => true, limit = 100) {
+        await this.queue;
+        const records = [];
+        for (let index = 0; index <= this.maxFiles && records.length < limit; index++) {
+            const file = index === 0 ? this.file : `${this.file}.${index}`;
+            let content;
+            try {
+                content = await logFs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                continue;
+            }
+            const lines = content.split('\n');
+            for (let line = lines.length - 1; line >= 0 && records.length < limit; line--) {
+                if (!lines[line]) continue;
+                try {
+                    const record = JSON.parse(lines[line]);
+                    if (filter(record)) records.push(record);
+                } catch (error) {
+                    // Skip a partially written line
+                }
+            }
+        }
+        return records;
+    }
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlLogFile = {
+    RotatingLogFile
+};
@@ -0,0 +1,215 @@
+/**
+ * Prometheus Metrics
+ * Serves counters, latency histograms and pool gauges in the Prometheus text format at
+ * http://<server>:30120/ingenium.sql/metrics (FXServer HTTP handler).
+ *
+ * The endpoint is disabled until mysql_metrics_token is set. Scrapers authenticate with
+ * `Authorization: Bearer <token>` (never in the URL, which ends up in access logs).
+ */
+
+const metricsCrypto = require('crypto');
+
+const METRICS_TOKEN = GetConvar('mysql_metrics_token', '');
+
+// Histogram buckets in seconds
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const STATEMENT_TYPES = new Set(['select', 'insert', 'update', 'delete', 'replace', 'call', 'show']);
+const LEADING_NOISE = /^(?:\s+|--[^\n]*\n|#[^\n]*\n|\/\*[\s\S]*?\*\/|\()*([a-z]+)/i;
+
+/**
+ * Statement type label: the leading keyword, or 'other'
+ */
+function statementType(sql) {
+    const match = LEADING_NOISE.exec(sql);
+    const keyword = match ? match[1].toLowerCase() : '';
+    return STATEMENT_TYPES.has(keyword) ? keyword : 'other';
+}
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class SqlMetrics {
+    constructor() {
+        this.queries = new Map();       // key -> { labels, count }
+        this.durations = new Map();     // key -> { labels, buckets, sum, count }
+        this.errors = new Map();        // key -> { labels, count }
+        this.transactions = new Map();  // key -> { labels, count }
+    }
+
+    /**
+     * Record one executed statement
+     * @param {string} connection - Connection name
+     * @param {string} [resource] - Calling resource (default: this resource)
+     * @param {string} sql - Query text
+     * @param {number} duration - Milliseconds
+     * @param {Error} [error] - Set when the statement failed
+     */
+    observeQuery(connection, resource, sql, duration, error = null) {
+        const labels = { connection, resource: resource || GetCurrentResourceName(), type: statementType(sql) };
+        const key = `${labels.connection}\u0000${labels.resource}\u0000${labels.type}`;
+
+        const status = error ? 'error' : 'ok';
+        incrementCounter(this.queries, `${key}\u0000${status}`, { ...labels, status });
+
+        let histogram = this.durations.get(key);
+        if (!histogram) {
+            histogram = { labels, buckets: new Array(DURATION_BUCKETS.length).fill(0), sum: 0, count: 0 };
+            this.durations.set(key, histogram);
+        }
+        const seconds = duration / 1000;
+        const bucket = DURATION_BUCKETS.findIndex((bound) => seconds <= bound);
+        if (bucket !== -1) histogram.buckets[bucket]++;
+        histogram.sum += seconds;
+        histogram.count++;
+
+        if (error) {
+            const code = error.code || 'UNKNOWN';
+            incrementCounter(this.errors, `${connection}\u0000${code}`, { connection, code });
+        }
+    }
+
+    /**
+     * Record the end of a transaction
+     * @param {string} connection - Connection name
+     * @param {string} outcome - 'commit' or 'rollback'
+     */
+    observeTransaction(connection, outcome) {
+        incrementCounter(this.transactions, `${connection}\u0000${outcome}`, { connection, outcome });
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        const family = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+            }
+        };
+        const pools = global.pools ? [...global.pools.values()] : [];
+
+        family('ingenium_sql_up', 'gauge', 'Whether the connection accepts queries',
+            pools.map((pool) => [{ connection: pool.name }, pool.ready() ? 1 : 0]));
+
+        family('ingenium_sql_queries_total', 'counter', 'Statements executed, by connection, calling resource, type and status',
+            [...this.queries.values()].map((entry) => [entry.labels, entry.count]));
+
+        const histogramSamples = [];
+        for (const histogram of this.durations.values()) {
+            let cumulative = 0;
+            DURATION_BUCKETS.forEach((bound, index) => {
+                cumulative += histogram.buckets[index];
+                histogramSamples.push([{ ...histogram.labels, le: bound }, cumulative, '_bucket']);
+            });
+            histogramSamples.push([{ ...histogram.labels, le: '+Inf' }, histogram.count, '_bucket']);
+            histogramSamples.push([histogram.labels, histogram.sum, '_sum']);
+            histogramSamples.push([histogram.labels, histogram.count, '_count']);
+        }
+        family('ingenium_sql_query_duration_seconds', 'histogram', 'Statement execution time', histogramSamples);
+
+        family('ingenium_sql_query_errors_total', 'counter', 'Failed statements, by MySQL error code',
+            [...this.errors.values()].map((entry) => [entry.labels, entry.count]));
+
+        family('ingenium_sql_slow_queries_total', 'counter', 'Statements slower than the slow query threshold',
+            pools.map((pool) => [{ connection: pool.name }, pool.stats.slowQueries]));
+
+        family('ingenium_sql_transactions_total', 'counter', 'Finished transactions, by outcome',
+            [...this.transactions.values()].map((entry) => [entry.labels, entry.count]));
+
+        const usage = pools.flatMap((pool) => pool.usage().map((entry) => ({ connection: pool.name, ...entry })));
+        family('ingenium_sql_pool_connections', 'gauge', 'Pooled connections, by state',
+            usage.flatMap((entry) => [
+                [{ connection: entry.connection, pool: entry.pool, state: 'in_use' }, entry.inUse],
+                [{ connection: entry.connection, pool: entry.pool, state: 'idle' }, entry.idle]
+            ]));
+        family('ingenium_sql_pool_connection_limit', 'gauge', 'Maximum connections of the pool',
+            usage.map((entry) => [{ connection: entry.connection, pool: entry.pool }, entry.limit]));
+        family('ingenium_sql_pool_queue_length', 'gauge', 'Requests waiting for a free connection',
+            usage.map((entry) => [{ connection: entry.connection, pool: entry.pool }, entry.waiting]));
+
+        const lanes = pools.flatMap((pool) => Object.values(pool.lanes.lanes).map((lane) => ({ connection: pool.name, lane })));
+        const laneSamples = (value) => lanes.map(({ connection, lane }) => [{ connection, lane: lane.name }, value(lane)]);
+        family('ingenium_sql_lane_active', 'gauge', 'Statements and held connections running, by priority lane',
+            laneSamples((lane) => lane.active));
+        family('ingenium_sql_lane_queued', 'gauge', 'Statements waiting for a slot, by priority lane',
+            laneSamples((lane) => lane.queue.length));
+        family('ingenium_sql_lane_started_total', 'counter', 'Statements admitted, by priority lane',
+            laneSamples((lane) => lane.started));
+        family('ingenium_sql_lane_wait_seconds_total', 'counter', 'Time admitted statements spent queued, by priority lane',
+            laneSamples((lane) => lane.totalWait / 1000));
+        family('ingenium_sql_lane_rejected_total', 'counter', 'Statements rejected because the lane queue was full',
+            laneSamples((lane) => lane.rejected));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    reset() {
+        this.queries.clear();
+        this.durations.clear();
+        this.errors.clear();
+        this.transactions.clear();
+    }
+}
+
+function incrementCounter(map, key, labels) {
+    const entry = map.get(key);
+    if (entry) {
+        entry.count++;
+    } else {
+        map.set(key, { labels, count: 1 });
+    }
+}
+
+/**
+ * Whether a scrape request carries the configured token (constant-time comparison)
+ */
+function isAuthorized(req) {
+    const headers = req.headers || {};
+    const authorization = Object.keys(headers).find((name) => name.toLowerCase() === 'authorization');
+    const bearer = authorization && /^Bearer\s+(.+)$/i.exec(headers[authorization]);
+    const supplied = bearer ? bearer[1].trim() : '';
+    if (!supplied) {
+        return false;
+    }
+    const digest = (value) => metricsCrypto.createHash('sha256').update(value).digest();
+    return metricsCrypto.timingSafeEqual(digest(supplied), digest(METRICS_TOKEN));
+}
+
+const sqlMetrics = new SqlMetrics();
+
+SetHttpHandler((req, res) => {
+    const path = (req.path || '/').split('?')[0];
+    if (path !== '/metrics' || !METRICS_TOKEN) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.send(METRICS_TOKEN ? 'Not found' : 'Metrics are disabled (set mysql_metrics_token)');
+        return;
+    }
+    if (req.method !== 'GET') {
+        res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET' });
+        res.send('Method not allowed');
+        return;
+    }
+    if (!isAuthorized(req)) {
+        res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+        res.send('Unauthorized');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.send(sqlMetrics.render());
+});
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlMetrics = sqlMetrics;
@@ -0,0 +1,531 @@
+/**
+ * Schema Migration Runner
+ * Applies versioned, per-resource schema migrations before ingenium.sql reports ready
+ *
+ * Resources declare their migrations in fxmanifest.lua, in order:
+ *   sql_migration 'migrations/001_create_characters.sql'
+ *   sql_migration 'migrations/002_add_phone_number.sql'
+ *
+ * The numeric filename prefix is the migration version. Each file holds an up
+ * section and an optional down section:
+ *   -- migrate:up
+ *   CREATE TABLE ...;
+ *   -- migrate:down
+ *   DROP TABLE ...;
+ *
+ * Applied versions are tracked in the `ingenium_migrations` table. Pending
+ * migrations are applied under a MySQL named lock so that two servers sharing a
+ * database never run the same migration twice.
+ */
+
+const { createHash } = require('crypto');
+
+const MIGRATIONS_TABLE = 'ingenium_migrations';
+const MIGRATIONS_LOCK = 'ingenium.sql:migrations';
+const MIGRATION_METADATA_KEY = 'sql_migration';
+
+class MigrationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Split a SQL script into individual statements
+ * Understands quoted strings, backticks, comments and DELIMITER directives so
+ * that stored procedures and triggers can be shipped in migration files
+ * @param {string} sql - SQL script
+ * @returns {string[]} Statements without their trailing delimiter
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let delimiter = ';';
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const atLineStart = current.trim() === '';
+
+        // DELIMITER directive (client-side only, never sent to the server)
+        if (atLineStart && /^DELIMITER\s/i.test(sql.substring(i, i + 10))) {
+            const lineEnd = sql.indexOf('\n', i);
+            const line = sql.substring(i, lineEnd === -1 ? sql.length : lineEnd);
+            delimiter = line.trim().split(/\s+/)[1] || ';';
+            current = '';
+            i = lineEnd === -1 ? sql.length : lineEnd + 1;
+            continue;
+        }
+
+        // Line comments
+        if ((char === '-' && sql[i + 1] === '-' && /\s/.test(sql[i + 2] || ' ')) || char === '#') {
+            const lineEnd = sql.indexOf('\n', i);
+            i = lineEnd === -1 ? sql.length : lineEnd;
+            continue;
+        }
+
+        // Block comments (kept, MySQL uses /*! ... */ for versioned syntax)
+        if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            const stop = end === -1 ? sql.length : end + 2;
+            current += sql.substring(i, stop);
+            i = stop;
+            continue;
+        }
+
+        // Quoted strings and identifiers
+        if (char === '\'' || char === '"' || char === '`') {
+            let j = i + 1;
+            while (j < sql.length) {
+                if (sql[j] === '\\' && char !== '`') {
+                    j += 2;
+                    continue;
+                }
+                if (sql[j] === char) {
+                    if (sql[j + 1] === char) {
+                        j += 2;
+                        continue;
+                    }
+                    break;
+                }
+                j++;
+            }
+            current += sql.substring(i, j + 1);
+            i = j + 1;
+            continue;
+        }
+
+        if (sql.startsWith(delimiter, i)) {
+            if (current.trim()) {
+                statements.push(current.trim());
+            }
+            current = '';
+            i += delimiter.length;
+            continue;
+        }
+
+        current += char;
+        i++;
+    }
+
+    if (current.trim()) {
+        statements.push(current.trim());
+    }
+
+    return statements;
+}
+
+/**
+ * Parse a migration file into its up and down sections
+ * Files without markers are treated as up-only migrations
+ * @param {string} source - Migration file contents
+ * @returns {{ up: string, down: string }}
+ */
+function parseMigrationSource(source) {
+    const upMarker = /^\s*--\s*migrate:up\s*$/im;
+    const downMarker = /^\s*--\s*migrate:down\s*$/im;
+
+    const upMatch = source.match(upMarker);
+    const downMatch = source.match(downMarker);
+
+    if (!upMatch && !downMatch) {
+        return { up: source.trim(), down: '' };
+    }
+
+    const upStart = upMatch ? upMatch.index + upMatch[0].length : 0;
+    const downStart = downMatch ? downMatch.index + downMatch[0].length : source.length;
+
+    let up;
+    let down;
+    if (!downMatch) {
+        up = source.substring(upStart);
+        down = '';
+    } else if (!upMatch || upMatch.index < downMatch.index) {
+        up = source.substring(upStart, downMatch.index);
+        down = source.substring(downStart);
+    } else {
+        up = source.substring(upStart);
+        down = source.substring(downStart, upMatch.index);
+    }
+
+    return { up: up.trim(), down: down.trim() };
+}
+
+class MigrationRunner {
+    constructor() {
+        this.pool = null;
+        this.enabled = GetConvar('mysql_auto_migrate', 'true') !== 'false';
+        this.lockTimeout = parseInt(GetConvar('mysql_migration_lock_timeout', '60'));
+        this.running = false;
+    }
+
+    /**
+     * Discover the migrations a resource declares in its fxmanifest
+     * @param {string} resourceName - Resource name
+     * @returns {Array<Object>} Migrations ordered by version
+     */
+    discover(resourceName) {
+        const count = GetNumResourceMetadata(resourceName, MIGRATION_METADATA_KEY);
+        const migrations = [];
+
+        for (let i = 0; i < count; i++) {
+            const file = GetResourceMetadata(resourceName, MIGRATION_METADATA_KEY, i);
+            if (!file) continue;
+
+            const fileName = file.split('/').pop();
+            const match = fileName.match(/^(\d+)[_-]?(.*?)(\.sql)?$/i);
+            if (!match) {
+                throw new MigrationError(`Migration file '${file}' must start with a numeric version`, {
+                    resource: resourceName,
+                    file
+                });
+            }
+
+            const source = LoadResourceFile(resourceName, file);
+            if (source === null || source === undefined) {
+                throw new MigrationError(`Migration file '${file}' could not be read`, {
+                    resource: resourceName,
+                    file
+                });
+            }
+
+            const { up, down } = parseMigrationSource(source);
+            migrations.push({
+                resource: resourceName,
+                version: parseInt(match[1], 10),
+                name: match[2] || fileName,
+                file,
+                up,
+                down,
+                checksum: createHash('sha256').update(up).digest('hex')
+            });
+        }
+
+        migrations.sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new MigrationError(
+                    `Duplicate migration version ${migrations[i].version} in ${resourceName}`,
+                    { resource: resourceName, version: migrations[i].version }
+                );
+            }
+        }
+
+        return migrations;
+    }
+
+    /**
+     * List every resource that declares at least one migration
+     * @returns {string[]} Resource names
+     */
+    discoverResources() {
+        const resources = [];
+        const total = GetNumResources();
+        for (let i = 0; i < total; i++) {
+            const resourceName = GetResourceByFindIndex(i);
+            if (resourceName && GetNumResourceMetadata(resourceName, MIGRATION_METADATA_KEY) > 0) {
+                resources.push(resourceName);
+            }
+        }
+        return resources.sort();
+    }
+
+    /**
+     * Create the bookkeeping table if needed
+     * @param {Object} connection - mysql2 connection
+     */
+    async ensureTable(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS \`${MIGRATIONS_TABLE}\` (
+                \`resource\` VARCHAR(64) NOT NULL,
+                \`version\` INT UNSIGNED NOT NULL,
+                \`name\` VARCHAR(255) NOT NULL,
+                \`checksum\` CHAR(64) NOT NULL,
+                \`applied_at\` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (\`resource\`, \`version\`)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    }
+
+    /**
+     * Load applied migration rows, keyed by "resource:version"
+     * @param {Object} connection - mysql2 connection
+     * @param {string} [resourceName] - Optional resource filter
+     * @returns {Promise<Map<string, Object>>}
+     */
+    async getApplied(connection, resourceName) {
+        const [rows] = resourceName
+            ? await connection.query(`SELECT * FROM \`${MIGRATIONS_TABLE}\` WHERE resource = ?`, [resourceName])
+            : await connection.query(`SELECT * FROM \`${MIGRATIONS_TABLE}\``);
+
+        const applied = new Map();
+        for (const row of rows) {
+            applied.set(`${row.resource}:${row.version}`, row);
+        }
+        return applied;
+    }
+
+    /**
+     * Run a callback on a dedicated connection while holding the migration lock
+     * @param {Function} fn - async (connection) => result
+     * @returns {Promise<*>} Callback result
+     */
+    async withLock(fn) {
+        if (!this.pool) {
+            throw new MigrationError('Migration runner has no connection pool');
+        }
+        if (this.running) {
+            throw new MigrationError('A migration run is already in progress');
+        }
+
+        this.running = true;
+        const connection = await this.pool.getConnection();
+        let locked = false;
+
+        try {
+            const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [MIGRATIONS_LOCK, this.lockTimeout]);
+            if (lock.acquired !== 1) {
+                throw new MigrationError(`Could not acquire migration lock within ${this.lockTimeout}s`);
+            }
+            locked = true;
+
+            await this.ensureTable(connection);
+            return await fn(connection);
+        } finally {
+            if (locked) {
+                await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATIONS_LOCK]).catch(() => {});
+            }
+            connection.release();
+            this.running = false;
+        }
+    }
+
+    /**
+     * Apply one migration direction on a connection
+     * Note: MySQL commits DDL implicitly, so a failing migration may leave
+     * earlier statements of the same file applied
+     * @param {Object} connection - mysql2 connection
+     * @param {Object} migration - Migration descriptor
+     * @param {string} direction - 'up' or 'down'
+     */
+    async applyOne(connection, migration, direction) {
+        const statements = splitStatements(migration[direction]);
+        let index = 0;
+
+        await connection.beginTransaction();
+        try {
+            for (index = 0; index < statements.length; index++) {
+                await connection.query(statements[index]);
+            }
+
+            if (direction === 'up') {
+                await connection.query(
+                    `INSERT INTO \`${MIGRATIONS_TABLE}\` (resource, version, name, checksum) VALUES (?, ?, ?, ?)`,
+                    [migration.resource, migration.version, migration.name, migration.checksum]
+                );
+            } else {
+                await connection.query(
+                    `DELETE FROM \`${MIGRATIONS_TABLE}\` WHERE resource = ? AND version = ?`,
+                    [migration.resource, migration.version]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            throw new MigrationError(error.message, {
+                resource: migration.resource,
+                version: migration.version,
+                file: migration.file,
+                direction,
+                statementIndex: index + 1,
+                statement: statements[index],
+                code: error.code
+            });
+        }
+    }
+
+    /**
+     * Apply all pending migrations
+     * @param {string} [resourceName] - Limit to a single resource (default: all)
+     * @returns {Promise<Array<Object>>} Applied migrations { resource, version, name }
+     */
+    async migrate(resourceName) {
+        const resources = resourceName ? [resourceName] : this.discoverResources();
+
+        return this.withLock(async (connection) => {
+            const appliedNow = [];
+            const applied = await this.getApplied(connection, resourceName);
+
+            for (const resource of resources) {
+                for (const migration of this.discover(resource)) {
+                    const existing = applied.get(`${resource}:${migration.version}`);
+                    if (existing) {
+                        if (existing.checksum !== migration.checksum) {
+                            console.log(`^3[SQL Migrations] WARNING: ${resource} migration ${migration.version} (${migration.file}) has changed since it was applied^7`);
+                        }
+                        continue;
+                    }
+
+                    console.log(`^3[SQL Migrations] Applying ${resource} ${migration.version} (${migration.name})...^7`);
+                    await this.applyOne(connection, migration, 'up');
+                    appliedNow.push({ resource, version: migration.version, name: migration.name });
+                }
+            }
+
+            return appliedNow;
+        });
+    }
+
+    /**
+     * Roll back the most recent migrations of a resource
+     * @param {string} resourceName - Resource to roll back
+     * @param {number} [steps=1] - Number of migrations to revert
+     * @returns {Promise<Array<Object>>} Reverted migrations { resource, version, name }
+     */
+    async rollback(resourceName, steps = 1) {
+        if (!resourceName) {
+            throw new MigrationError('rollback requires a resource name');
+        }
+
+        const migrations = new Map(this.discover(resourceName).map((m) => [m.version, m]));
+
+        return this.withLock(async (connection) => {
+            const [rows] = await connection.query(
+                `SELECT version, name FROM \`${MIGRATIONS_TABLE}\` WHERE resource = ? ORDER BY version DESC LIMIT ?`,
+                [resourceName, Math.max(1, parseInt(steps) || 1)]
+            );
+
+            const reverted = [];
+            for (const row of rows) {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new MigrationError(`Applied migration ${row.version} of ${resourceName} is no longer declared`, {
+                        resource: resourceName,
+                        version: row.version
+                    });
+                }
+                if (!migration.down) {
+                    throw new MigrationError(`Migration ${row.version} of ${resourceName} has no down section`, {
+                        resource: resourceName,
+                        version: row.version,
+                        file: migration.file
+                    });
+                }
+
+                console.log(`^3[SQL Migrations] Rolling back ${resourceName} ${migration.version} (${migration.name})...^7`);
+                await this.applyOne(connection, migration, 'down');
+                reverted.push({ resource: resourceName, version: migration.version, name: migration.name });
+            }
+
+            return reverted;
+        });
+    }
+
+    /**
+     * Report declared and applied migrations
+     * @param {string} [resourceName] - Limit to a single resource (default: all)
+     * @returns {Promise<Array<Object>>} { resource, version, name, applied, appliedAt, changed }
+     */
+    async status(resourceName) {
+        if (!this.pool) {
+            throw new MigrationError('Migration runner has no connection pool');
+        }
+
+        const connection = await this.pool.getConnection();
+        try {
+            await this.ensureTable(connection);
+            const applied = await this.getApplied(connection, resourceName);
+            const resources = resourceName ? [resourceName] : this.discoverResources();
+            const report = [];
+
+            for (const resource of resources) {
+                for (const migration of this.discover(resource)) {
+                    const row = applied.get(`${resource}:${migration.version}`);
+                    applied.delete(`${resource}:${migration.version}`);
+                    report.push({
+                        resource,
+                        version: migration.version,
+                        name: migration.name,
+                        applied: !!row,
+                        appliedAt: row ? row.applied_at : null,
+                        changed: !!row && row.checksum !== migration.checksum
+                    });
+                }
+            }
+
+            // Applied versions whose files are no longer declared
+            for (const row of applied.values()) {
+                report.push({
+                    resource: row.resource,
+                    version: row.version,
+                    name: row.name,
+                    applied: true,
+                    appliedAt: row.applied_at,
+                    changed: false,
+                    missing: true
+                });
+            }
+
+            return report;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Apply pending migrations during pool startup
+     * @param {Object} pool - mysql2 pool
+     * @returns {Promise<boolean>} False if startup must be halted
+     */
+    async startup(pool) {
+        this.pool = pool;
+
+        if (!this.enabled) {
+            return true;
+        }
+
+        try {
+            const applied = await this.migrate();
+            if (applied.length > 0) {
+                console.log(`^2[SQL Migrations] Applied ${applied.length} migration(s)^7`);
+            }
+            return true;
+        } catch (error) {
+            this.report(error, true);
+            return false;
+        }
+    }
+
+    /**
+     * Print a failure report for a migration error
+     * @param {Error} error - Error thrown by the runner
+     * @param {boolean} [fatal=false] - True when the failure halted startup
+     */
+    report(error, fatal = false) {
+        console.error('^1[SQL Migrations] ================= MIGRATION FAILED =================^7');
+        if (error.resource) {
+            console.error(`^1[SQL Migrations] Resource:  ${error.resource}^7`);
+        }
+        if (error.version !== undefined) {
+            console.error(`^1[SQL Migrations] Version:   ${error.version}${error.direction ? ` (${error.direction})` : ''}^7`);
+        }
+        if (error.file) {
+            console.error(`^1[SQL Migrations] File:      ${error.file}^7`);
+        }
+        if (error.statement) {
+            console.error(`^1[SQL Migrations] Statement #${error.statementIndex}: ${error.statement.substring(0, 200)}^7`);
+        }
+        console.error(`^1[SQL Migrations] Error:     ${error.code ? `${error.code}: ` : ''}${error.message}^7`);
+        if (fatal) {
+            console.error('^1[SQL Migrations] The database was NOT marked ready. Fix the migration and restart ingenium.sql.^7');
+        }
+        console.error('^1[SQL Migrations] =====================================================^7');
+    }
+}
+
+// Create singleton instance and export to global scope for FiveM
+global.migrations = new MigrationRunner();
@@ -0,0 +1,890 @@
+/**
+ * SQL Parameter Parser
+ * Tokenizes queries to convert named parameters (@name, :name) into positional (?)
+ *
+ * The tokenizer skips quoted strings, backtick identifiers and comments, so an
+ * '@' inside 'foo@bar.com' or a commented-out ':name' is never treated as a
+ * parameter. Placeholders are bound strictly in the order they appear.
+ *
+ * MySQL variables are left alone:
+ * - @@system_variable is never a parameter
+ * - @user_variable is a parameter only when the query is called with a named
+ *   parameter object, or without parameters (nil or {}) and no '?' placeholders;
+ *   if it has no value and is assigned to in the query (`@x := ...` or
+ *   `SET @x = ...`) it stays a user variable
+ */
+
+// Compiled query cache (query text -> { parts, placeholders, assigned })
+const compiledCache = new Map();
+const COMPILED_CACHE_MAX_SIZE = 1000;
+
+// Bind NULL instead of raising an error when a named parameter is missing
+// (Lua tables cannot hold nil, so { name = nil } arrives without the key)
+const NULL_MISSING_PARAMETERS = GetConvar('mysql_null_missing_parameters', 'false') === 'true';
+
+const WORD_CHAR = /[A-Za-z0-9_$]/;
+const NAME_START = /[A-Za-z_]/;
+
+/**
+ * Find the end of a quoted string or identifier starting at `start`
+ * @param {string} sql - Query text
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index just past the closing quote
+ */
+function skipQuoted(sql, start) {
+    const quote = sql[start];
+    let i = start + 1;
+    while (i < sql.length) {
+        const char = sql[i];
+        if (char === '\\' && quote !== '`') {
+            i += 2;
+            continue;
+        }
+        if (char === quote) {
+            // Doubled quote is an escaped quote
+            if (sql[i + 1] === quote) {
+                i += 2;
+                continue;
+            }
+            return i + 1;
+        }
+        i++;
+    }
+    return sql.length;
+}
+
+/**
+ * Read a parameter name starting at `start`
+ * @returns {string} Name (may be empty)
+ */
+function readName(sql, start) {
+    let end = start;
+    while (end < sql.length && WORD_CHAR.test(sql[end])) {
+        end++;
+    }
+    return sql.substring(start, end);
+}
+
+/**
+ * Tokenize a query into SQL text and placeholders (cached per query text)
+ * @param {string} sql - Query text
+ * @returns {{ parts: Array<string|null>, placeholders: Array<Object>, assigned: Set<string> }}
+ *   parts: SQL text with a null slot for every named placeholder
+ *   placeholders: { type: 'positional' } or { type: 'named', name, prefix, index } in query order
+ *   assigned: names of @variables assigned to in the query (MySQL user variables)
+ */
+function compile(sql) {
+    const cached = compiledCache.get(sql);
+    if (cached) {
+        return cached;
+    }
+
+    const placeholders = [];
+    const assigned = new Set();
+    const parts = [];
+    let last = 0;
+    let i = 0;
+    let firstWord = null;
+    let previous = ''; // Previous significant token (upper-cased word or single character)
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        // Strings and identifiers
+        if (char === '\'' || char === '"' || char === '`') {
+            i = skipQuoted(sql, i);
+            previous = char;
+            continue;
+        }
+
+        // -- comment (MySQL requires whitespace after the dashes) and # comment
+        if ((char === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2]))) || char === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+
+        // /* block comment */
+        if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+
+        if (char === '?') {
+            placeholders.push({ type: 'positional' });
+            previous = '?';
+            i++;
+            continue;
+        }
+
+        if (char === '@') {
+            // @@system_variable
+            if (next === '@') {
+                i += 2;
+                i += readName(sql, i).length;
+                previous = '@';
+                continue;
+            }
+
+            const name = readName(sql, i + 1);
+            if (name) {
+                const end = i + 1 + name.length;
+                const following = sql.substring(end, end + 8);
+
+                // `@x := ...` anywhere, or `SET @x = ...` / `SET @a = 1, @x = ...`
+                if (/^\s*:=/.test(following) ||
+                    (/^\s*=/.test(following) && (previous === 'SET' || (previous === ',' && firstWord === 'SET')))) {
+                    assigned.add(name);
+                }
+
+                parts.push(sql.substring(last, i));
+                placeholders.push({ type: 'named', name, prefix: '@', index: parts.length });
+                parts.push(null);
+                last = end;
+                i = end;
+                previous = '@';
+                continue;
+            }
+        }
+
+        // :name (but not := or part of a word such as a time literal outside quotes)
+        if (char === ':' && next && NAME_START.test(next) && (i === 0 || (!WORD_CHAR.test(sql[i - 1]) && sql[i - 1] !== ':'))) {
+            const name = readName(sql, i + 1);
+            parts.push(sql.substring(last, i));
+            placeholders.push({ type: 'named', name, prefix: ':', index: parts.length });
+            parts.push(null);
+            last = i + 1 + name.length;
+            i = last;
+            previous = ':';
+            continue;
+        }
+
+        if (WORD_CHAR.test(char)) {
+            const word = readName(sql, i);
+            previous = word.toUpperCase();
+            if (firstWord === null) {
+                firstWord = previous;
+            }
+            i += word.length;
+            continue;
+        }
+
+        if (!/\s/.test(char)) {
+            previous = char;
+        }
+        i++;
+    }
+    parts.push(sql.substring(last));
+
+    const compiled = { parts, placeholders, assigned };
+
+    if (compiledCache.size >= COMPILED_CACHE_MAX_SIZE) {
+        // Drop the oldest entry (Map preserves insertion order)
+        compiledCache.delete(compiledCache.keys().next().value);
+    }
+    compiledCache.set(sql, compiled);
+
+    return compiled;
+}
+
+// Statement analysis cache (query text -> { type, upsert, statements })
+const analysisCache = new Map();
+
+// Keywords that start the main statement after a WITH clause
+const CTE_STATEMENTS = new Set(['SELECT', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE', 'TABLE', 'VALUES']);
+
+/**
+ * Statement type of one statement from its words
+ * @param {Array<string>} words - Upper-cased words outside parentheses
+ * @param {string|null} leading - First word at any depth, used when the statement opens
+ *   with a parenthesis (`(SELECT ...) UNION (SELECT ...)`)
+ */
+function statementTypeOf(words, leading) {
+    let type = leading || words[0] || '';
+    if (type === 'WITH') {
+        type = words.find((word) => CTE_STATEMENTS.has(word)) || '';
+    }
+    const upsert = type === 'INSERT' && words.join(' ').includes('ON DUPLICATE KEY UPDATE');
+    return { type, upsert };
+}
+
+/**
+ * Classify a query and split it into statements (cached per query text)
+ * Comments, strings and parenthesized subqueries are skipped, so `/* note *\/ SELECT`,
+ * `WITH x AS (...) SELECT` and `(SELECT ...) UNION (SELECT ...)` are all SELECTs.
+ * A CREATE with a BEGIN ... END body (procedures, triggers) is never split.
+ * @param {string} sql - Query text
+ * @returns {{ type: string, upsert: boolean, statements: Array<string> }}
+ *   type: main keyword of the first statement, upper-cased ('' if none)
+ *   upsert: the first statement is INSERT ... ON DUPLICATE KEY UPDATE
+ *   statements: text of each statement (one entry unless the query holds several)
+ */
+function analyze(sql) {
+    if (typeof sql !== 'string') {
+        return { type: '', upsert: false, statements: [] };
+    }
+    const cached = analysisCache.get(sql);
+    if (cached) {
+        return cached;
+    }
+
+    const statements = [];
+    let first = null;
+    let start = 0;
+    let depth = 0;
+    let words = [];
+    let leading = null;
+    let parenthesized = false;
+    let compound = false;
+    let i = 0;
+
+    const finish = (end) => {
+        const text = sql.substring(start, end);
+        if (words.length > 0 || leading) {
+            statements.push(text.trim());
+            if (!first) {
+                first = statementTypeOf(words, parenthesized ? leading : null);
+            }
+        }
+        words = [];
+        leading = null;
+        parenthesized = false;
+        depth = 0;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (char === '\'' || char === '"' || char === '`') {
+            i = skipQuoted(sql, i);
+            continue;
+        }
+        if ((char === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2]))) || char === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+
+        if (char === '(') {
+            parenthesized = parenthesized || leading === null;
+            depth++;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (char === ';' && !compound) {
+            finish(i);
+            start = i + 1;
+        } else if (char === '@' || char === ':') {
+            // Parameter and variable names are not keywords
+            i += 1 + readName(sql, i + 1 + (next === '@' ? 1 : 0)).length + (next === '@' ? 1 : 0);
+            continue;
+        } else if (NAME_START.test(char)) {
+            const word = readName(sql, i).toUpperCase();
+            leading = leading || word;
+            if (depth === 0) {
+                words.push(word);
+                if (word === 'BEGIN' && words[0] === 'CREATE') {
+                    compound = true;
+                }
+            }
+            i += word.length;
+            continue;
+        } else if (WORD_CHAR.test(char)) {
+            i += readName(sql, i).length;
+            continue;
+        }
+        i++;
+    }
+    finish(sql.length);
+
+    const analysis = { ...(first || { type: '', upsert: false }), statements: statements.length > 0 ? statements : [sql.trim()] };
+
+    if (analysisCache.size >= COMPILED_CACHE_MAX_SIZE) {
+        analysisCache.delete(analysisCache.keys().next().value);
+    }
+    analysisCache.set(sql, analysis);
+
+    return analysis;
+}
+
+// Table reference cache (query text -> table names, or null when undeterminable)
+const tableCache = new Map();
+
+// Words that end a table reference: never read as a table name or alias
+const TABLE_CLAUSE_WORDS = new Set([
+    'AS', 'ON', 'USING', 'WHERE', 'SET', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'WINDOW', 'UNION', 'EXCEPT',
+    'INTERSECT', 'FOR', 'LOCK', 'INTO', 'FROM', 'SELECT', 'VALUES', 'VALUE', 'PARTITION', 'USE', 'IGNORE',
+    'FORCE', 'LIKE', 'IN', 'TO', 'WITH', 'RETURNING', 'PROCEDURE', 'DUAL', 'LATERAL',
+    'JOIN', 'STRAIGHT_JOIN', 'INNER', 'CROSS', 'LEFT', 'RIGHT', 'OUTER', 'NATURAL'
+]);
+
+// Words between a table reference and JOIN (LEFT OUTER JOIN, NATURAL JOIN, ...)
+const JOIN_WORDS = new Set(['INNER', 'CROSS', 'LEFT', 'RIGHT', 'OUTER', 'NATURAL']);
+
+// Words that end a join condition (LEFT/RIGHT only when not a function call)
+const CONDITION_END_WORDS = new Set([
+    'JOIN', 'STRAIGHT_JOIN', 'INNER', 'CROSS', 'LEFT', 'RIGHT', 'NATURAL', 'ON', 'WHERE', 'SET', 'GROUP',
+    'HAVING', 'ORDER', 'LIMIT', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT', 'FOR', 'LOCK', 'INTO', 'RETURNING'
+]);
+
+// SELECT modifiers: STRAIGHT_JOIN after one of them is a modifier, not a join
+const SELECT_MODIFIERS = new Set([
+    'SELECT', 'ALL', 'DISTINCT', 'DISTINCTROW', 'HIGH_PRIORITY', 'SQL_SMALL_RESULT', 'SQL_BIG_RESULT',
+    'SQL_BUFFER_RESULT', 'SQL_NO_CACHE', 'SQL_CACHE', 'SQL_CALC_FOUND_ROWS'
+]);
+
+// Functions whose arguments use FROM (EXTRACT(YEAR FROM ...), TRIM(... FROM ...), ...)
+const FROM_FUNCTIONS = new Set(['EXTRACT', 'TRIM', 'SUBSTRING', 'SUBSTR', 'MID']);
+
+// Keywords that open a derived table or a statement after EXPLAIN
+const SUBQUERY_WORDS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE']);
+const EXPLAIN_WORDS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE', 'ANALYZE', 'FORMAT', 'EXTENDED', 'PARTITIONS', 'FOR']);
+
+// Statements whose tables are found by the FROM/JOIN/INTO scan alone
+const SCANNED_STATEMENTS = new Set([
+    '', 'SELECT', 'VALUES', 'DELETE', 'SHOW', 'LOAD', 'SET', 'DO', 'USE', 'BEGIN', 'START', 'COMMIT',
+    'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'UNLOCK'
+]);
+
+// Statements that name a list of tables after TABLE/TABLES
+const TABLE_LIST_STATEMENTS = new Set(['DROP', 'RENAME', 'ANALYZE', 'OPTIMIZE', 'CHECK', 'REPAIR', 'CHECKSUM']);
+
+/**
+ * Split a statement into tokens, skipping comments and whitespace
+ * @param {string} sql - Query text
+ * @returns {Array<Object>|null} { type: 'word'|'name'|'string'|'variable'|'symbol', text, word },
+ *   null if the text holds an executable comment (`/*! ... *\/`), which MySQL runs
+ */
+function tableTokens(sql) {
+    const tokens = [];
+    let i = 0;
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '\'' || char === '"' || char === '`') {
+            const end = skipQuoted(sql, i);
+            tokens.push(char === '`'
+                ? { type: 'name', text: sql.substring(i + 1, end - 1).replace(/``/g, '`') }
+                : { type: 'string', text: sql.substring(i, end) });
+            i = end;
+            continue;
+        }
+        if ((char === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2]))) || char === '#') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            if (sql[i + 2] === '!') {
+                return null;
+            }
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+        if (char === '@' || char === ':') {
+            const skip = next === '@' ? 1 : 0;
+            const length = 1 + skip + readName(sql, i + 1 + skip).length;
+            tokens.push({ type: 'variable', text: sql.substr(i, length) });
+            i += length;
+            continue;
+        }
+        if (WORD_CHAR.test(char)) {
+            const text = readName(sql, i);
+            tokens.push({ type: 'word', text, word: text.toUpperCase() });
+            i += text.length;
+            continue;
+        }
+        tokens.push({ type: 'symbol', text: char });
+        i++;
+    }
+    return tokens;
+}
+
+/**
+ * Tables one statement reads or writes
+ * @param {string} statement - A single statement
+ * @returns {string[]|null} Lower-cased table names without schema, null when they cannot be determined
+ */
+function statementTables(statement) {
+    const tokens = tableTokens(statement);
+    if (!tokens) {
+        return null;
+    }
+
+    const tables = new Set();
+    const cteNames = new Set();
+    const word = (i) => (tokens[i] && tokens[i].type === 'word' ? tokens[i].word : null);
+    const symbol = (i, text) => Boolean(tokens[i]) && tokens[i].type === 'symbol' && tokens[i].text === text;
+    const isName = (i) => Boolean(tokens[i]) && (tokens[i].type === 'name'
+        || (tokens[i].type === 'word' && !TABLE_CLAUSE_WORDS.has(tokens[i].word) && !/^\d/.test(tokens[i].text)));
+
+    // Index just past the parenthesis group opening at i
+    const skipGroup = (i) => {
+        let depth = 0;
+        for (; i < tokens.length; i++) {
+            if (symbol(i, '(')) {
+                depth++;
+            } else if (symbol(i, ')') && --depth === 0) {
+                return i + 1;
+            }
+        }
+        return tokens.length;
+    };
+
+    // [schema.]table: records it, returns the index past it or -1
+    const tableName = (i) => {
+        if (!isName(i)) {
+            return -1;
+        }
+        let name = tokens[i].text;
+        i++;
+        if (symbol(i, '.')) {
+            if (!isName(i + 1)) {
+                return -1;
+            }
+            name = tokens[i + 1].text;
+            i += 2;
+        }
+        tables.add(name.toLowerCase());
+        return i;
+    };
+
+    // Optional [AS] alias
+    const alias = (i) => {
+        if (word(i) === 'AS') {
+            return isName(i + 1) || (tokens[i + 1] && tokens[i + 1].type === 'string') ? i + 2 : -1;
+        }
+        return isName(i) || (tokens[i] && tokens[i].type === 'string') ? i + 1 : i;
+    };
+
+    // Skip a join condition up to the next table reference or clause
+    const condition = (i) => {
+        let depth = 0;
+        for (; i < tokens.length; i++) {
+            if (symbol(i, '(')) {
+                depth++;
+            } else if (symbol(i, ')')) {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            } else if (depth === 0 && (symbol(i, ',') || symbol(i, ';')
+                || (CONDITION_END_WORDS.has(word(i)) && !symbol(i + 1, '(')))) {
+                return i;
+            }
+        }
+        return i;
+    };
+
+    let references;
+
+    // One table reference: a table, a derived table or a parenthesized list of references
+    const factor = (i) => {
+        if (word(i) === 'LATERAL') {
+            i++;
+        }
+        if (symbol(i, '(')) {
+            if (SUBQUERY_WORDS.has(word(i + 1))) {
+                // The subquery's own tables are found by the scan below
+                i = alias(skipGroup(i));
+                return i !== -1 && symbol(i, '(') ? skipGroup(i) : i;
+            }
+            const end = references(i + 1);
+            return end !== -1 && symbol(end, ')') ? end + 1 : -1;
+        }
+        if (word(i) === 'DUAL') {
+            return i + 1;
+        }
+        if (word(i) === 'JSON_TABLE' && symbol(i + 1, '(')) {
+            return alias(skipGroup(i + 1));
+        }
+
+        i = tableName(i);
+        if (i === -1) {
+            return -1;
+        }
+        if (word(i) === 'PARTITION' && symbol(i + 1, '(')) {
+            i = skipGroup(i + 1);
+        }
+        i = alias(i);
+        while (i !== -1 && ['USE', 'IGNORE', 'FORCE'].includes(word(i)) && ['INDEX', 'KEY'].includes(word(i + 1))) {
+            i += 2;
+            if (word(i) === 'FOR') {
+                i += word(i + 1) === 'JOIN' ? 2 : 3;
+            }
+            i = symbol(i, '(') ? skipGroup(i) : -1;
+        }
+        return i;
+    };
+
+    // Table references joined by commas and JOINs; returns the index past them or -1
+    references = (i) => {
+        i = factor(i);
+        while (i !== -1) {
+            if (symbol(i, ',')) {
+                i = factor(i + 1);
+                continue;
+            }
+            let j = i;
+            while (JOIN_WORDS.has(word(j))) {
+                j++;
+            }
+            if (word(j) !== 'JOIN' && word(j) !== 'STRAIGHT_JOIN') {
+                return i;
+            }
+            i = factor(j + 1);
+            if (word(i) === 'ON') {
+                i = condition(i + 1);
+            } else if (word(i) === 'USING' && symbol(i + 1, '(')) {
+                i = skipGroup(i + 1);
+            }
+        }
+        return -1;
+    };
+
+    // Comma-separated table names (DROP TABLE a, b / RENAME TABLE a TO b, c TO d)
+    const tableList = (i) => {
+        while (i !== -1) {
+            i = tableName(i);
+            if (word(i) === 'TO') {
+                i = tableName(i + 1);
+            }
+            if (!symbol(i, ',')) {
+                return i;
+            }
+            i++;
+        }
+        return -1;
+    };
+
+    // Index of the statement's main keyword (after any WITH clause)
+    const { type } = analyze(statement);
+    let depth = 0;
+    let start = tokens.findIndex((token) => {
+        if (token.type === 'symbol') {
+            depth += token.text === '(' ? 1 : token.text === ')' ? -1 : 0;
+        }
+        return depth === 0 && token.word === type;
+    });
+    if (start === -1) {
+        start = 0;
+    }
+    const skip = (i, words) => {
+        while (words.includes(word(i))) {
+            i++;
+        }
+        return i;
+    };
+
+    let result = 0;
+    if (type === 'INSERT' || type === 'REPLACE') {
+        const i = skip(start + 1, ['LOW_PRIORITY', 'DELAYED', 'HIGH_PRIORITY', 'IGNORE']);
+        // INSERT INTO is read by the INTO scan below
+        result = word(i) === 'INTO' ? 0 : tableName(i);
+    } else if (type === 'UPDATE') {
+        result = references(skip(start + 1, ['LOW_PRIORITY', 'IGNORE']));
+    } else if (type === 'TRUNCATE' || type === 'TABLE') {
+        result = tableName(skip(start + 1, ['TABLE']));
+    } else if (type === 'DESCRIBE' || type === 'DESC' || type === 'EXPLAIN') {
+        result = EXPLAIN_WORDS.has(word(start + 1)) || symbol(start + 1, '(') ? 0 : tableName(start + 1);
+    } else if (type === 'SHOW') {
+        if (word(start + 1) === 'CREATE' && word(start + 2) === 'TABLE') {
+            result = tableName(start + 3);
+        }
+        // SHOW COLUMNS IN users (FROM is read by the scan below)
+        for (let i = start + 1; i < tokens.length && result !== -1; i++) {
+            if (word(i) === 'IN' && isName(i + 1)) {
+                result = tableName(i + 1);
+            }
+        }
+    } else if (type === 'CREATE' || type === 'ALTER') {
+        const i = skip(start + 1, ['OR', 'REPLACE', 'TEMPORARY', 'ONLINE', 'OFFLINE', 'IGNORE', 'UNIQUE', 'FULLTEXT', 'SPATIAL']);
+        if (word(i) === 'TABLE') {
+            result = tableName(skip(i + 1, ['IF', 'NOT', 'EXISTS']));
+            for (let k = i + 1; k < tokens.length && result !== -1; k++) {
+                // CREATE TABLE copy LIKE original / ALTER TABLE old RENAME [TO] new
+                if (type === 'CREATE' && word(k) === 'LIKE' && isName(k + 1)) {
+                    result = tableName(k + 1);
+                } else if (type === 'ALTER' && word(k) === 'RENAME' && !['COLUMN', 'INDEX', 'KEY'].includes(word(k + 1))) {
+                    result = tableName(skip(k + 1, ['TO', 'AS']));
+                }
+            }
+        } else if (word(i) === 'INDEX') {
+            const on = tokens.findIndex((token, k) => k > i && token.word === 'ON');
+            result = on === -1 ? -1 : tableName(on + 1);
+        } else {
+            // Databases, views, routines, triggers, events, users, ...
+            return null;
+        }
+    } else if (TABLE_LIST_STATEMENTS.has(type)) {
+        const i = skip(start + 1, ['TEMPORARY', 'NO_WRITE_TO_BINLOG', 'LOCAL']);
+        if (word(i) === 'TABLE' || word(i) === 'TABLES') {
+            result = tableList(skip(i + 1, ['IF', 'EXISTS']));
+        } else if (type === 'DROP' && word(i) === 'INDEX') {
+            const on = tokens.findIndex((token, k) => k > i && token.word === 'ON');
+            result = on === -1 ? -1 : tableName(on + 1);
+        } else {
+            return null;
+        }
+    } else if (!SCANNED_STATEMENTS.has(type)) {
+        // CALL, PREPARE/EXECUTE, LOCK TABLES, HANDLER, GRANT, ...
+        return null;
+    }
+    if (result === -1) {
+        return null;
+    }
+
+    // FROM, JOIN, INTO, USING and REFERENCES anywhere in the statement, including subqueries
+    const parens = [];
+    for (let i = 0; i < tokens.length; i++) {
+        if (symbol(i, '(')) {
+            parens.push(word(i - 1));
+            continue;
+        }
+        if (symbol(i, ')')) {
+            parens.pop();
+            continue;
+        }
+
+        let end = 0;
+        switch (word(i)) {
+            case 'FROM':
+                if (!FROM_FUNCTIONS.has(parens[parens.length - 1])) {
+                    end = references(i + 1);
+                }
+                break;
+            case 'STRAIGHT_JOIN':
+                if (!SELECT_MODIFIERS.has(word(i - 1))) {
+                    end = factor(i + 1);
+                }
+                break;
+            case 'JOIN':
+                end = factor(i + 1);
+                break;
+            case 'USING':
+                // DELETE FROM t USING references (JOIN ... USING (columns) is not a table list)
+                if (!symbol(i + 1, '(')) {
+                    end = references(i + 1);
+                }
+                break;
+            case 'INTO':
+                if (word(i + 1) === 'TABLE') {
+                    end = tableName(i + 2);
+                } else if (!['OUTFILE', 'DUMPFILE'].includes(word(i + 1)) && tokens[i + 1] && tokens[i + 1].type !== 'variable') {
+                    end = tableName(i + 1);
+                }
+                break;
+            case 'REFERENCES':
+                end = tableName(i + 1);
+                break;
+            case 'WITH': {
+                // Common table expression names are not tables
+                let j = skip(i + 1, ['RECURSIVE']);
+                while (isName(j)) {
+                    const name = tokens[j].text.toLowerCase();
+                    j = symbol(j + 1, '(') ? skipGroup(j + 1) : j + 1;
+                    if (word(j) !== 'AS' || !symbol(j + 1, '(')) {
+                        break;
+                    }
+                    cteNames.add(name);
+                    j = skipGroup(j + 1);
+                    if (!symbol(j, ',')) {
+                        break;
+                    }
+                    j++;
+                }
+                break;
+            }
+        }
+        if (end === -1) {
+            return null;
+        }
+    }
+
+    return [...tables].filter((table) => !cteNames.has(table));
+}
+
+/**
+ * Tables a query reads or writes, taken from its tokens (cached per query text)
+ * Recognizes FROM/JOIN references (comma lists, STRAIGHT_JOIN, parenthesized lists,
+ * subqueries), INSERT/REPLACE/UPDATE/DELETE targets and table DDL. Comments and
+ * quoted text are skipped and schema prefixes dropped.
+ * @param {string} sql - Query text (one or more statements)
+ * @returns {string[]|null} Lower-cased table names, or null when the tables of any
+ *   statement cannot be determined (CALL, dynamic SQL, executable comments, ...)
+ */
+function referencedTables(sql) {
+    if (typeof sql !== 'string') {
+        return null;
+    }
+    if (tableCache.has(sql)) {
+        return tableCache.get(sql);
+    }
+
+    let result = [];
+    for (const statement of analyze(sql).statements) {
+        const own = statementTables(statement);
+        if (own === null) {
+            result = null;
+            break;
+        }
+        result.push(...own);
+    }
+    result = result && [...new Set(result)];
+
+    if (tableCache.size >= COMPILED_CACHE_MAX_SIZE) {
+        tableCache.delete(tableCache.keys().next().value);
+    }
+    tableCache.set(sql, result);
+
+    return result;
+}
+
+/**
+ * Convert a Lua array that arrived as an object ({ "1": a, "3": c } when it had nil holes)
+ * @param {Object} parameters - Parameter object
+ * @returns {Array|null} Positional array, or null if the keys are not all numeric
+ */
+function toPositional(parameters) {
+    const keys = Object.keys(parameters);
+    if (keys.length === 0) {
+        return [];
+    }
+    if (!keys.every((key) => /^\d+$/.test(key))) {
+        return null;
+    }
+
+    const max = Math.max(...keys.map(Number));
+    const values = [];
+    for (let index = 1; index <= max; index++) {
+        const value = parameters[index];
+        values.push(value === undefined ? null : value);
+    }
+    return values;
+}
+
+/**
+ * Look up a named parameter, accepting `name`, `@name` and `:name` keys
+ * (mysql-async callers commonly pass { ['@name'] = value })
+ * @returns {{ found: boolean, value: * }}
+ */
+function lookupNamed(parameters, placeholder) {
+    const keys = [placeholder.name, `${placeholder.prefix}${placeholder.name}`, `@${placeholder.name}`, `:${placeholder.name}`];
+    for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(parameters, key)) {
+            return { found: true, value: parameters[key] };
+        }
+    }
+    return { found: false, value: undefined };
+}
+
+/**
+ * Create an error for invalid parameters (classified as kind 'parameter')
+ */
+function parameterError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_PARAMETERS';
+    return error;
+}
+
+/**
+ * Shorten a query for error messages
+ */
+function preview(sql) {
+    const flat = sql.replace(/\s+/g, ' ').trim();
+    return flat.length > 100 ? `${flat.substring(0, 100)}...` : flat;
+}
+
+/**
+ * Convert a query and its parameters into positional SQL and an ordered value array
+ * @param {string} sql - Query using ?, @name or :name placeholders
+ * @param {Array|Object|null} parameters - Positional array or named object
+ * @param {Set<string>} [userVariables] - @variables assigned by other statements of the same query
+ * @returns {{ query: string, params: Array }}
+ * @throws {Error} When a placeholder has no value or styles are mixed
+ */
+function processParameters(sql, parameters, userVariables) {
+    if (typeof sql !== 'string') {
+        throw parameterError(`Query must be a string, got ${typeof sql}`);
+    }
+
+    const { parts, placeholders, assigned } = compile(sql);
+
+    let values = null;
+    if (!parameters || typeof parameters !== 'object') {
+        values = [];
+    } else if (Array.isArray(parameters)) {
+        values = parameters;
+    } else {
+        values = toPositional(parameters);
+    }
+
+    // nil or {} (a Lua table whose values were all nil) for a query with only named
+    // placeholders: every placeholder is missing, not a user variable
+    const noNamedValues = !Array.isArray(parameters) && values && values.length === 0
+        && placeholders.length > 0 && placeholders.every((p) => p.type === 'named');
+    if (noNamedValues) {
+        values = null;
+    }
+
+    // Positional parameters: @tokens are user variables, validate the count only
+    if (values) {
+        const positional = placeholders.filter((p) => p.type === 'positional').length;
+        if (values.length < positional) {
+            if (!NULL_MISSING_PARAMETERS) {
+                throw parameterError(`Query expects ${positional} positional parameter(s) but ${values.length} were given: ${preview(sql)}`);
+            }
+            values = values.concat(new Array(positional - values.length).fill(null));
+        }
+        return { query: sql, params: values };
+    }
+
+    // Named parameters
+    const params = [];
+    const output = parts.slice();
+
+    for (const placeholder of placeholders) {
+        if (placeholder.type === 'positional') {
+            throw parameterError(`Cannot mix '?' placeholders with named parameters: ${preview(sql)}`);
+        }
+
+        const { found, value } = lookupNamed(noNamedValues ? {} : parameters, placeholder);
+        if (!found) {
+            // Assigned @variables are MySQL user variables, keep them in the SQL
+            const variable = assigned.has(placeholder.name) || Boolean(userVariables && userVariables.has(placeholder.name));
+            if (placeholder.prefix === '@' && variable) {
+                output[placeholder.index] = `@${placeholder.name}`;
+                continue;
+            }
+            if (!NULL_MISSING_PARAMETERS) {
+                throw parameterError(`Missing value for parameter '${placeholder.prefix}${placeholder.name}': ${preview(sql)}`);
+            }
+        }
+
+        output[placeholder.index] = '?';
+        params.push(value === undefined ? null : value);
+    }
+
+    return { query: output.join(''), params };
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlParser = {
+    compile,
+    analyze,
+    referencedTables,
+    processParameters
+};
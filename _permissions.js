@@ -0,0 +1,282 @@
+/**
+ * Resource Permissions
+ * Decides which statements and tables each calling resource may use, so a careless or
+ * compromised resource cannot drop tables or read data it has no business with.
+ *
+ * The policy is read from a JSON file in the resource folder (mysql_permissions_file,
+ * default permissions.json; see permissions.example.json):
+ *
+ *   {
+ *     "trusted": ["ig.core"],
+ *     "default": { "statements": "*", "tables": ["*"], "denyTables": ["bans"] },
+ *     "resources": {
+ *       "esx_billing": { "statements": ["SELECT", "INSERT", "DELETE"], "tables": ["billing", "users"] },
+ *       "ig.*":        { "statements": ["*", "ALTER"] }
+ *     }
+ *   }
+ *
+ * - Trusted resources (the "trusted" list, `"trusted": true` on a resource, or
+ *   mysql_trusted_resources) and ingenium.sql itself may run anything.
+ * - Other resources use their entry (exact name first, then the first matching
+ *   pattern), falling back to "default" for fields it does not set. "*" allows every
+ *   statement type; denyTables of the default and the resource both apply.
+ * - DROP, TRUNCATE, ALTER, GRANT, REVOKE and RENAME are denied unless the resource is
+ *   trusted or lists the type in its own "statements".
+ * - migrate/rollback/migrationStatus are limited to the caller's own migrations unless
+ *   the resource is trusted (checkMigrations).
+ * Without a policy file only the destructive statements are restricted.
+ *
+ * Tables come from the query tokens (sqlParser.referencedTables): FROM/JOIN references
+ * and the targets of INSERT, UPDATE, DELETE and table DDL, without schema prefix.
+ * Statements whose tables cannot be determined (CALL, dynamic SQL, ...) are denied
+ * unless the resource may use every table.
+ *
+ * mysql_permissions: enforce (default) rejects denied calls with PERMISSION_DENIED,
+ * warn only logs them, off disables the checks. Denied calls emit
+ * ingenium.sql:PermissionDenied { resource, type, table?, query } (query redacted).
+ */
+
+const PERMISSIONS_MODE = ['enforce', 'warn', 'off'].includes(GetConvar('mysql_permissions', 'enforce'))
+    ? GetConvar('mysql_permissions', 'enforce')
+    : 'enforce';
+const PERMISSIONS_FILE = GetConvar('mysql_permissions_file', 'permissions.json');
+const TRUSTED_RESOURCES = GetConvar('mysql_trusted_resources', '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+// Denied unless the resource is trusted or names the type itself
+const DESTRUCTIVE_TYPES = new Set(['DROP', 'TRUNCATE', 'ALTER', 'GRANT', 'REVOKE', 'RENAME']);
+
+// Remembered decisions per resource and query text
+const DECISION_CACHE_MAX_SIZE = 1000;
+
+/**
+ * Compile a name pattern (`*` matches any text) to a case-insensitive regex
+ */
+function compilePattern(pattern) {
+    const source = String(pattern).split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Statement list of a policy entry: '*' (any non-destructive type, plus any
+ * destructive type listed next to it) or a Set of upper-cased types
+ */
+function statementList(value) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const types = (Array.isArray(value) ? value : [value]).map((type) => String(type).trim().toUpperCase());
+    return new Set(types);
+}
+
+class PermissionPolicy {
+    constructor() {
+        this.mode = PERMISSIONS_MODE;
+        this.trusted = new Set(TRUSTED_RESOURCES);
+        this.defaults = {};
+        this.entries = [];                // [{ name, pattern, rule }], exact names first
+        this.rules = new Map();           // resource -> resolved rule, or null when unrestricted
+        this.decisions = new Map();       // "resource\0sql" -> null or { type, table, message }
+        this.stats = { denied: 0, byResource: {} };
+        this.load();
+    }
+
+    /**
+     * (Re)load the policy file; a missing file leaves the built-in defaults in place
+     * @returns {boolean} True if a policy file was loaded
+     */
+    load() {
+        this.trusted = new Set(TRUSTED_RESOURCES);
+        this.defaults = {};
+        this.entries = [];
+        this.rules.clear();
+        this.decisions.clear();
+
+        const source = PERMISSIONS_FILE ? LoadResourceFile(GetCurrentResourceName(), PERMISSIONS_FILE) : null;
+        if (!source) {
+            return false;
+        }
+
+        let policy;
+        try {
+            policy = JSON.parse(source);
+        } catch (error) {
+            console.error(`^1[ig.sql ERROR] Invalid ${PERMISSIONS_FILE}, only the default restrictions apply: ${error.message}^7`);
+            return false;
+        }
+
+        for (const name of Array.isArray(policy.trusted) ? policy.trusted : []) {
+            this.trusted.add(String(name));
+        }
+        this.defaults = policy.default || {};
+        const resources = policy.resources || {};
+        const names = Object.keys(resources).sort((a, b) => Number(a.includes('*')) - Number(b.includes('*')));
+        this.entries = names.map((name) => ({
+            name,
+            pattern: name.includes('*') ? compilePattern(name) : null,
+            rule: resources[name] || {}
+        }));
+
+        console.log(`^2[ig.sql] Loaded ${PERMISSIONS_FILE}: ${this.entries.length} resource rule(s), ${this.trusted.size} trusted resource(s)^7`);
+        return true;
+    }
+
+    /**
+     * Resolved rule for a resource
+     * @param {string} [resource] - Calling resource
+     * @returns {Object|null} { statements, explicit, tables, denyTables, anyTable }, null when unrestricted
+     */
+    ruleFor(resource) {
+        if (!resource || resource === GetCurrentResourceName()) {
+            return null;
+        }
+        if (this.rules.has(resource)) {
+            return this.rules.get(resource);
+        }
+
+        const entry = this.entries.find((candidate) => (candidate.pattern ? candidate.pattern.test(resource) : candidate.name === resource));
+        const own = entry ? entry.rule : {};
+        let rule = null;
+        if (!this.trusted.has(resource) && own.trusted !== true) {
+            const ownStatements = statementList(own.statements);
+            const statements = ownStatements || statementList(this.defaults.statements) || new Set(['*']);
+            const tables = own.tables || this.defaults.tables || ['*'];
+            const denyTables = [...(this.defaults.denyTables || []), ...(own.denyTables || [])];
+            rule = {
+                anyStatement: statements.has('*'),
+                statements,
+                // Destructive types count only when the resource's own entry names them
+                explicit: ownStatements || new Set(),
+                tables: tables.map(compilePattern),
+                denyTables: denyTables.map(compilePattern),
+                // Statements whose tables cannot be determined need access to every table
+                anyTable: tables.includes('*') && denyTables.length === 0
+            };
+        }
+        this.rules.set(resource, rule);
+        return rule;
+    }
+
+    /**
+     * Why a statement is denied for a resource
+     * @returns {Object|null} { type, table?, message }, null when allowed
+     */
+    evaluate(sql, resource) {
+        const rule = this.ruleFor(resource);
+        if (!rule) {
+            return null;
+        }
+
+        for (const statement of global.sqlParser.analyze(sql).statements) {
+            const { type, upsert } = global.sqlParser.analyze(statement);
+            if (!type) {
+                continue;
+            }
+            for (const required of upsert ? ['INSERT', 'UPDATE'] : [type]) {
+                const allowed = DESTRUCTIVE_TYPES.has(required)
+                    ? rule.explicit.has(required)
+                    : rule.anyStatement || rule.statements.has(required);
+                if (!allowed) {
+                    return { type: required, message: `resource '${resource}' may not run ${required} statements` };
+                }
+            }
+
+            const tables = global.sqlParser.referencedTables(statement);
+            if (tables === null) {
+                if (!rule.anyTable) {
+                    return { type, message: `resource '${resource}' may not run ${type} statements whose tables cannot be determined` };
+                }
+                continue;
+            }
+            for (const table of tables) {
+                if (rule.denyTables.some((pattern) => pattern.test(table)) || !rule.tables.some((pattern) => pattern.test(table))) {
+                    return { type, table, message: `resource '${resource}' may not access table '${table}'` };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Reject a statement the calling resource may not run
+     * @param {string} sql - Query text (positional)
+     * @param {string} [resource] - Calling resource
+     * @throws {Error} PERMISSION_DENIED when the policy denies it (mysql_permissions enforce)
+     */
+    check(sql, resource) {
+        if (this.mode === 'off' || typeof sql !== 'string') {
+            return;
+        }
+
+        const key = `${resource}\u0000${sql}`;
+        let decision = this.decisions.get(key);
+        if (decision === undefined) {
+            decision = this.evaluate(sql, resource);
+            if (this.decisions.size >= DECISION_CACHE_MAX_SIZE) {
+                this.decisions.delete(this.decisions.keys().next().value);
+            }
+            this.decisions.set(key, decision);
+        }
+        if (decision) {
+            this.deny(resource, decision, global.sqlAudit.redactQuery(sql));
+        }
+    }
+
+    /**
+     * Reject a migrate/rollback/migrationStatus call: restricted resources may only
+     * handle their own migrations, trusted resources and the console any
+     * @param {string} type - 'MIGRATE', 'ROLLBACK' or 'MIGRATION_STATUS'
+     * @param {string} [target] - Resource whose migrations are affected (all when omitted)
+     * @param {string} [resource] - Calling resource
+     * @throws {Error} PERMISSION_DENIED when the policy denies it (mysql_permissions enforce)
+     */
+    checkMigrations(type, target, resource) {
+        if (this.mode === 'off' || (target && target === resource) || !this.ruleFor(resource)) {
+            return;
+        }
+        const scope = target ? `the migrations of '${target}'` : 'the migrations of all resources';
+        this.deny(resource, { type, message: `resource '${resource}' may not run ${type} on ${scope}` }, null);
+    }
+
+    /**
+     * Count, announce and (in enforce mode) raise a denied call
+     * @param {string} resource - Calling resource
+     * @param {Object} decision - { type, table?, message }
+     * @param {string|null} query - Redacted query text
+     */
+    deny(resource, decision, query) {
+        this.stats.denied++;
+        this.stats.byResource[resource] = (this.stats.byResource[resource] || 0) + 1;
+        emit('ingenium.sql:PermissionDenied', {
+            resource,
+            type: decision.type,
+            table: decision.table,
+            query
+        });
+
+        if (this.mode === 'warn') {
+            console.log(`^3[ig.sql WARNING] Permission check (warn only): ${decision.message}^7`);
+            return;
+        }
+        const error = new Error(`Permission denied: ${decision.message}`);
+        error.code = 'PERMISSION_DENIED';
+        throw error;
+    }
+
+    resetStats() {
+        this.stats = { denied: 0, byResource: {} };
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            denied: this.stats.denied,
+            byResource: { ...this.stats.byResource }
+        };
+    }
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlPermissions = new PermissionPolicy();
@@ -0,0 +1,164 @@
+/**
+ * Retry Policy
+ * Retries operations that failed on a deadlock, a lock wait timeout or a dropped
+ * connection, with exponential backoff and full jitter.
+ *
+ * What is retried:
+ * - read:        read-only statements (SELECT, SHOW, DESCRIBE, EXPLAIN) - always safe
+ * - transaction: whole `transaction` calls - the rollback undoes partial work
+ * - write:       single INSERT/UPDATE/DELETE/... statements - never, unless the
+ *                caller marks the call safe with `{ retry = true }`, because a
+ *                connection lost after the server applied the write would apply it twice
+ *
+ * Per-call `options.retry`: false disables retries, true marks the call safe,
+ * a number marks it safe and overrides the attempt count.
+ */
+
+// Errors worth another attempt: the server gave up on the statement or the connection died
+const RETRYABLE_CODES = new Set([
+    'ER_LOCK_DEADLOCK',
+    'ER_LOCK_WAIT_TIMEOUT',
+    'PROTOCOL_CONNECTION_LOST',
+    'ECONNRESET',
+    'EPIPE'
+]);
+
+const RETRY_ATTEMPTS = Math.max(0, parseInt(GetConvar('mysql_retry_attempts', '3')) || 0);
+const RETRY_BASE_DELAY = Math.max(1, parseInt(GetConvar('mysql_retry_base_delay', '50')) || 50);
+const RETRY_MAX_DELAY = Math.max(RETRY_BASE_DELAY, parseInt(GetConvar('mysql_retry_max_delay', '2000')) || 2000);
+
+// Whether each kind is retried when the call does not say otherwise
+const RETRY_BY_DEFAULT = {
+    read: GetConvar('mysql_retry_reads', 'true') === 'true',
+    transaction: GetConvar('mysql_retry_transactions', 'true') === 'true',
+    write: false
+};
+
+// Statement types (see sqlParser.analyze) that only read
+const READ_ONLY_TYPES = new Set(['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'TABLE', 'VALUES']);
+
+const retryStats = {
+    retries: 0,     // Extra attempts made
+    recovered: 0,   // Operations that succeeded after at least one retry
+    exhausted: 0,   // Operations that still failed after their last retry
+    byCode: {}      // Retries per error code
+};
+
+/**
+ * Classify a single statement for the retry policy
+ * `WITH ... SELECT` is a read; a query holding several statements is a write
+ * @param {string} sql - Query text
+ * @returns {string} 'read' or 'write'
+ */
+function statementKind(sql) {
+    if (typeof sql !== 'string') {
+        return 'write';
+    }
+    const { type, statements } = global.sqlParser.analyze(sql);
+    return statements.length === 1 && READ_ONLY_TYPES.has(type) ? 'read' : 'write';
+}
+
+/**
+ * Whether an error is transient and the operation may be attempted again
+ * @param {Error} error - mysql2 or ingenium.sql error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    return !!error && RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Number of retries allowed for an operation
+ * @param {string} kind - 'read', 'write' or 'transaction'
+ * @param {Object} [options] - Call options ({ retry })
+ * @returns {number}
+ */
+function retriesFor(kind, options = {}) {
+    const setting = options.retry;
+    if (setting === false) return 0;
+    if (typeof setting === 'number') return Math.max(0, Math.floor(setting));
+    if (setting === true) return RETRY_ATTEMPTS;
+    return RETRY_BY_DEFAULT[kind] ? RETRY_ATTEMPTS : 0;
+}
+
+/**
+ * Backoff before the given retry: exponential, capped, with full jitter
+ * @param {number} retry - Retry number (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(retry) {
+    const ceiling = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (retry - 1));
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run an operation, retrying transient failures according to the policy
+ * The operation must be safe to run again from the start (acquire its own connection)
+ * @param {string} kind - 'read', 'write' or 'transaction'
+ * @param {Object} options - Call options ({ retry })
+ * @param {Function} operation - Async function performing one attempt
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function runWithRetry(kind, options, operation) {
+    const maxRetries = retriesFor(kind, options || {});
+    let retry = 0;
+
+    while (true) {
+        try {
+            const result = await operation();
+            if (retry > 0) {
+                retryStats.recovered++;
+            }
+            return result;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                throw error;
+            }
+            if (retry >= maxRetries) {
+                if (maxRetries > 0) {
+                    retryStats.exhausted++;
+                }
+                throw error;
+            }
+
+            retry++;
+            retryStats.retries++;
+            retryStats.byCode[error.code] = (retryStats.byCode[error.code] || 0) + 1;
+
+            const delay = backoffDelay(retry);
+            console.log(`^3[SQL WARNING] ${error.code} during ${kind}, retrying (${retry}/${maxRetries}) in ${delay}ms^7`);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Snapshot of the retry counters
+ */
+function getRetryStats() {
+    return {
+        retries: retryStats.retries,
+        recovered: retryStats.recovered,
+        exhausted: retryStats.exhausted,
+        byCode: { ...retryStats.byCode }
+    };
+}
+
+/**
+ * Zero the retry counters
+ */
+function resetRetryStats() {
+    retryStats.retries = 0;
+    retryStats.recovered = 0;
+    retryStats.exhausted = 0;
+    retryStats.byCode = {};
+}
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlRetry = {
+    statementKind,
+    isRetryable,
+    run: runWithRetry,
+    getStats: getRetryStats,
+    resetStats: resetRetryStats
+};
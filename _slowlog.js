@@ -0,0 +1,184 @@
+/**
+ * Slow Query Log
+ * Detects statements slower than the threshold of the calling resource, logs them to
+ * the console, emits ingenium.sql:SlowQuery, and records them - with parameters,
+ * duration, caller and, for SELECTs, the EXPLAIN plan - in memory and in a rotating
+ * JSON Lines file that getSlowQueries can search. Queries and parameters are
+ * redacted before they are logged or recorded (see _audit.js); EXPLAIN uses the originals.
+ *
+ * Threshold, most specific first:
+ * - mysql_slow_query_thresholds "resA=500,resB=50" (server owner override)
+ * - `sql_slow_query_threshold '500'` in the calling resource's fxmanifest
+ * - mysql_slow_query_threshold (default 150 ms)
+ * A threshold of 0 disables slow query detection.
+ */
+
+const SLOW_QUERY_THRESHOLD = parseThreshold(GetConvar('mysql_slow_query_threshold', '150'), 150);
+const SLOW_QUERY_OVERRIDES = new Map(
+    GetConvar('mysql_slow_query_thresholds', '')
+        .split(',')
+        .map((entry) => entry.split('=').map((part) => part.trim()))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, value]) => [name, parseThreshold(value, SLOW_QUERY_THRESHOLD)])
+);
+
+const SLOW_LOG_FILE = GetConvar('mysql_slow_log_file', 'logs/slow-queries.jsonl');
+const SLOW_LOG_MAX_SIZE = Math.max(0.01, parseFloat(GetConvar('mysql_slow_log_max_size', '10')) || 10);
+const SLOW_LOG_FILES = Math.max(0, parseInt(GetConvar('mysql_slow_log_files', '5')) || 0);
+const SLOW_LOG_MEMORY = 200;
+
+// EXPLAIN slow SELECTs, at most once per query fingerprint per interval
+const SLOW_QUERY_EXPLAIN = GetConvar('mysql_slow_query_explain', 'true') === 'true';
+const EXPLAIN_INTERVAL = 60000;
+const EXPLAINABLE = /^(?:\s+|--[^\n]*\n|#[^\n]*\n|\/\*[\s\S]*?\*\/)*(?:SELECT|WITH)\b/i;
+
+// Longest query text printed to the console
+const CONSOLE_QUERY_LENGTH = 2000;
+
+/**
+ * Parse a threshold in ms; invalid values fall back, 0 disables
+ */
+function parseThreshold(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+class SlowQueryLog {
+    constructor() {
+        this.manifestThresholds = new Map();  // resource -> threshold from its fxmanifest, or null
+        this.lastExplained = new Map();       // fingerprint -> timestamp
+        this.recent = [];                     // Newest last, at most SLOW_LOG_MEMORY
+        this.file = SLOW_LOG_FILE
+            ? new global.sqlLogFile.RotatingLogFile(SLOW_LOG_FILE, { maxBytes: SLOW_LOG_MAX_SIZE * 1024 * 1024, maxFiles: SLOW_LOG_FILES })
+            : null;
+    }
+
+    /**
+     * Slow query threshold for a resource
+     * @param {string} [resource] - Calling resource
+     * @returns {number} Milliseconds, 0 when disabled
+     */
+    thresholdFor(resource) {
+        if (!resource) {
+            return SLOW_QUERY_THRESHOLD;
+        }
+        if (SLOW_QUERY_OVERRIDES.has(resource)) {
+            return SLOW_QUERY_OVERRIDES.get(resource);
+        }
+        if (!this.manifestThresholds.has(resource)) {
+            const value = GetResourceMetadata(resource, 'sql_slow_query_threshold', 0);
+            this.manifestThresholds.set(resource, value ? parseThreshold(value, null) : null);
+        }
+        const fromManifest = this.manifestThresholds.get(resource);
+        return fromManifest === null ? SLOW_QUERY_THRESHOLD : fromManifest;
+    }
+
+    /**
+     * Check a finished statement and record it if it was slow
+     * @param {Object} details - { pool (mysql2 pool for EXPLAIN), connection, query, parameters, duration, resource }
+     * @returns {boolean} True if the statement was slow
+     */
+    observe(details) {
+        const threshold = this.thresholdFor(details.resource);
+        if (threshold <= 0 || details.duration <= threshold) {
+            return false;
+        }
+
+        const { query, parameters, duration, resource, connection } = details;
+        const tag = !connection || connection === 'default' ? 'SQL' : `SQL:${connection}`;
+        const redacted = global.sqlAudit.redactQuery(query);
+        const text = redacted.length > CONSOLE_QUERY_LENGTH ? `${redacted.substring(0, CONSOLE_QUERY_LENGTH)}...` : redacted;
+        console.log(`^3[${tag} WARNING] Slow query (${duration.toFixed(2)}ms > ${threshold}ms) from ${resource || GetCurrentResourceName()}: ${text}^7`);
+        emit('ingenium.sql:SlowQuery', { query: redacted, duration, parameters: global.sqlAudit.redactParameters(query, parameters), resource });
+
+        this.capture(details).catch((error) => {
+            console.error(`^1[ig.sql ERROR] Failed to record slow query: ${error.message}^7`);
+        });
+        return true;
+    }
+
+    async capture({ pool, connection, query, parameters, duration, resource }) {
+        const fingerprint = global.sqlAccounting.fingerprint(query);
+        const record = {
+            time: new Date().toISOString(),
+            timestamp: Date.now(),
+            resource: resource || GetCurrentResourceName(),
+            connection: connection || 'default',
+            duration: Math.round(duration * 100) / 100,
+            query: global.sqlAudit.redactQuery(query),
+            parameters: global.sqlAudit.redactParameters(query, parameters || []),
+            fingerprint,
+            explain: null
+        };
+
+        if (SLOW_QUERY_EXPLAIN && pool && EXPLAINABLE.test(query) && this.shouldExplain(fingerprint)) {
+            try {
+                // Straight on the mysql2 pool: not counted, and never slow-logged itself
+                const [plan] = await pool.execute(`EXPLAIN ${query}`, parameters || []);
+                record.explain = plan;
+            } catch (error) {
+                record.explainError = error.message;
+            }
+        }
+
+        this.recent.push(record);
+        if (this.recent.length > SLOW_LOG_MEMORY) {
+            this.recent.shift();
+        }
+        if (this.file) {
+            this.file.append(record);
+        }
+    }
+
+    shouldExplain(fingerprint) {
+        const now = Date.now();
+        const last = this.lastExplained.get(fingerprint);
+        if (last && now - last < EXPLAIN_INTERVAL) {
+            return false;
+        }
+        if (this.lastExplained.size >= 1000) {
+            this.lastExplained.clear();
+        }
+        this.lastExplained.set(fingerprint, now);
+        return true;
+    }
+
+    /**
+     * Recorded slow queries, newest first
+     * @param {Object} [options] - { limit, resource, connection, since, minDuration, search, fromFile }
+     * @returns {Promise<Array<Object>>}
+     */
+    async search(options = {}) {
+        const limit = Math.max(1, parseInt(options.limit) || 50);
+        const since = options.since ? (typeof options.since === 'number' ? options.since : Date.parse(options.since)) : 0;
+        const minDuration = parseFloat(options.minDuration) || 0;
+        const search = options.search ? String(options.search).toLowerCase() : null;
+
+        const matches = (record) => (!options.resource || record.resource === options.resource)
+            && (!options.connection || record.connection === options.connection)
+            && (!since || record.timestamp >= since)
+            && record.duration >= minDuration
+            && (!search || record.query.toLowerCase().includes(search) || record.fingerprint.toLowerCase().includes(search));
+
+        if (options.fromFile && this.file) {
+            return this.file.read(matches, limit);
+        }
+        const results = [];
+        for (let index = this.recent.length - 1; index >= 0 && results.length < limit; index--) {
+            if (matches(this.recent[index])) {
+                results.push(this.recent[index]);
+            }
+        }
+        return results;
+    }
+}
+
+const slowQueryLog = new SlowQueryLog();
+
+// Re-read the manifest when a resource restarts
+on('onResourceStart', (resourceName) => {
+    slowQueryLog.manifestThresholds.delete(resourceName);
+});
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlSlowLog = slowQueryLog;
@@ -0,0 +1,227 @@
+/**
+ * Result Type Casting
+ * Converts column values of result rows by their column type, so resources do not
+ * need their own json.decode and `== 1` checks.
+ *
+ * Settings are a comma-separated list, e.g. "json,boolean,dates=iso,bigint=string,blob=base64":
+ * - json:           parse JSON columns (and columns named in { jsonColumns }, for MariaDB) into tables
+ * - boolean:        TINYINT(1) and BIT(1) as true/false
+ * - dates=iso|ms:   DATETIME/TIMESTAMP/DATE as ISO 8601 strings or Unix milliseconds
+ * - bigint=string|number: BIGINT always as a string (exact) or always as a number
+ * - blob=base64|bytes:    binary columns as base64 strings or arrays of byte values
+ * - legacy (or empty):    no casting, values as mysql2 returns them
+ *
+ * Precedence: the call's { typeCast } (false: legacy, true: the defaults below, a
+ * settings string, or a table overriding individual settings), then
+ * `sql_type_cast '...'` in the calling resource's fxmanifest, then mysql_type_cast.
+ */
+
+const RESULT_FIELDS = Symbol('resultFields');
+
+// mysql2 column type codes
+const COLUMN_TYPES = {
+    TINY: 1,
+    TIMESTAMP: 7,
+    LONGLONG: 8,
+    DATE: 10,
+    DATETIME: 12,
+    BIT: 16,
+    JSON: 245
+};
+
+const LEGACY_CAST = Object.freeze({ json: false, boolean: false, dates: 'string', bigint: 'auto', blob: 'buffer' });
+const CAST_CHOICES = {
+    dates: ['string', 'iso', 'ms'],
+    bigint: ['auto', 'string', 'number'],
+    blob: ['buffer', 'base64', 'bytes']
+};
+
+/**
+ * Parse a settings string ("json,boolean,dates=iso")
+ * @param {string} spec - Settings
+ * @param {string} source - Where the settings come from, for warnings
+ * @returns {Object} Full settings
+ */
+function parseCastSpec(spec, source) {
+    const settings = { ...LEGACY_CAST };
+    for (const token of String(spec || '').split(/[\s,]+/).filter(Boolean)) {
+        const [name, value] = token.toLowerCase().split('=');
+        if (name === 'legacy' || name === 'off' || name === 'none') {
+            Object.assign(settings, LEGACY_CAST);
+        } else if (name === 'json' || name === 'boolean' || name === 'booleans') {
+            settings[name === 'json' ? 'json' : 'boolean'] = value !== 'false';
+        } else if (CAST_CHOICES[name] && CAST_CHOICES[name].includes(value)) {
+            settings[name] = value;
+        } else {
+            console.log(`^3[ig.sql WARNING] Ignoring unknown type cast setting '${token}' in ${source}^7`);
+        }
+    }
+    return settings;
+}
+
+function isLegacy(settings) {
+    return !settings.json && !settings.boolean && settings.dates === 'string' && settings.bigint === 'auto'
+        && settings.blob === 'buffer' && settings.jsonColumns.size === 0;
+}
+
+/**
+ * 'YYYY-MM-DD[ HH:MM:SS[.ffffff]]' (UTC, as returned with dateStrings) to a Date, or null
+ */
+function parseDateString(value) {
+    if (typeof value !== 'string' || value.startsWith('0000')) {
+        return null;
+    }
+    const date = new Date(`${value.replace(' ', 'T')}${value.length > 10 ? 'Z' : 'T00:00:00Z'}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Converter for one column, or null when the settings leave it alone
+ */
+function columnConverter(field, settings) {
+    const type = field.columnType;
+
+    if (settings.json && (type === COLUMN_TYPES.JSON || settings.jsonColumns.has(field.name))) {
+        return (value) => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        };
+    }
+    if (settings.boolean && field.columnLength === 1 && (type === COLUMN_TYPES.TINY || type === COLUMN_TYPES.BIT)) {
+        return (value) => (value === null ? null : Buffer.isBuffer(value) ? value[0] === 1 : Number(value) !== 0);
+    }
+    if (settings.dates !== 'string' && (type === COLUMN_TYPES.DATETIME || type === COLUMN_TYPES.TIMESTAMP || type === COLUMN_TYPES.DATE)) {
+        return (value) => {
+            const date = value instanceof Date ? value : parseDateString(value);
+            if (!date) return value;
+            if (settings.dates === 'ms') return date.getTime();
+            return type === COLUMN_TYPES.DATE ? date.toISOString().slice(0, 10) : date.toISOString();
+        };
+    }
+    if (settings.bigint !== 'auto' && type === COLUMN_TYPES.LONGLONG) {
+        return settings.bigint === 'string'
+            ? (value) => (value === null ? null : String(value))
+            : (value) => (value === null ? null : Number(value));
+    }
+    if (settings.blob !== 'buffer') {
+        return (value) => {
+            if (!Buffer.isBuffer(value)) return value;
+            return settings.blob === 'base64' ? value.toString('base64') : Array.from(value);
+        };
+    }
+    return null;
+}
+
+class TypeCaster {
+    constructor() {
+        this.defaults = parseCastSpec(GetConvar('mysql_type_cast', ''), 'mysql_type_cast');
+        this.manifestSettings = new Map();  // resource -> settings from its fxmanifest, or null
+    }
+
+    /**
+     * Settings for a call
+     * @param {Object} options - Call options ({ typeCast, jsonColumns })
+     * @param {string} [resource] - Calling resource
+     * @returns {Object|null} Settings, or null when nothing is cast
+     */
+    resolve(options = {}, resource = null) {
+        const requested = options.typeCast;
+        let settings;
+        if (requested === false) {
+            settings = { ...LEGACY_CAST };
+        } else if (typeof requested === 'string') {
+            settings = parseCastSpec(requested, 'the typeCast option');
+        } else {
+            settings = { ...this.forResource(resource) };
+            if (requested && typeof requested === 'object') {
+                for (const [name, value] of Object.entries(requested)) {
+                    if (name === 'json' || name === 'boolean') {
+                        settings[name] = !!value;
+                    } else if (CAST_CHOICES[name] && CAST_CHOICES[name].includes(value)) {
+                        settings[name] = value;
+                    }
+                }
+            }
+        }
+
+        const jsonColumns = Array.isArray(options.jsonColumns) ? options.jsonColumns
+            : (options.jsonColumns && typeof options.jsonColumns === 'object' ? Object.values(options.jsonColumns) : []);
+        settings.jsonColumns = new Set(jsonColumns.map(String));
+        if (settings.jsonColumns.size > 0) {
+            settings.json = true;
+        }
+        return isLegacy(settings) ? null : settings;
+    }
+
+    forResource(resource) {
+        if (!resource) {
+            return this.defaults;
+        }
+        if (!this.manifestSettings.has(resource)) {
+            const spec = GetResourceMetadata(resource, 'sql_type_cast', 0);
+            this.manifestSettings.set(resource, spec ? parseCastSpec(spec, `${resource}/fxmanifest.lua`) : null);
+        }
+        return this.manifestSettings.get(resource) || this.defaults;
+    }
+
+    /**
+     * Remember the column definitions of a result, for apply()
+     */
+    attachFields(results, fields) {
+        if (Array.isArray(results) && Array.isArray(fields)) {
+            Object.defineProperty(results, RESULT_FIELDS, { value: fields });
+        }
+        return results;
+    }
+
+    /**
+     * Cast the rows of a result (rows are copied; the original result is not modified)
+     * @param {Array|Object} results - Rows with attached fields, or a ResultSetHeader
+     * @param {Object|null} settings - From resolve()
+     * @returns {Array|Object}
+     */
+    apply(results, settings) {
+        if (!settings || !Array.isArray(results) || !results[RESULT_FIELDS]) {
+            return results;
+        }
+        return this.castRows(results, results[RESULT_FIELDS], settings);
+    }
+
+    /**
+     * Cast rows given their column definitions
+     */
+    castRows(rows, fields, settings) {
+        if (!settings || !Array.isArray(fields) || fields.length === 0 || Array.isArray(fields[0])) {
+            return rows;
+        }
+        const converters = [];
+        for (const field of fields) {
+            const convert = columnConverter(field, settings);
+            if (convert) converters.push([field.name, convert]);
+        }
+        if (converters.length === 0) {
+            return rows;
+        }
+        return rows.map((row) => {
+            const cast = { ...row };
+            for (const [name, convert] of converters) {
+                if (name in cast) cast[name] = convert(cast[name]);
+            }
+            return cast;
+        });
+    }
+}
+
+const typeCaster = new TypeCaster();
+
+// Re-read the manifest when a resource restarts
+on('onResourceStart', (resourceName) => {
+    typeCaster.manifestSettings.delete(resourceName);
+});
+
+// Export to global scope for FiveM (server_scripts share the global scope)
+global.sqlTypeCast = typeCaster;
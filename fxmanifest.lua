@@ -14,6 +14,20 @@ version '1.0.1'
 -- Server-side files
 server_scripts {
     '_pool.js',
+    '_migrations.js',
+    '_parser.js',
+    '_errors.js',
+    '_retry.js',
+    '_cache.js',
+    '_permissions.js',
+    '_accounting.js',
+    '_logfile.js',
+    '_audit.js',
+    '_slowlog.js',
+    '_metrics.js',
+    '_typecast.js',
+    '_builder.js',
+    '_backup.js',
     'server.js'
 }
 
@@ -30,19 +44,63 @@ exports {
     'update',
     'transaction',
     'batch',
+    'bulkInsert',
+    'stream',
+    'beginTransaction',
+    'startTransaction',
     'prepareQuery',
     'executePrepared',
+    'releasePrepared',
     'isReady',
+    'awaitReady',
     'getStats',
+    'getSlowQueries',
+    'getAuditLog',
+    'getConnection',
+    'table',
+    
+    -- Schema migrations
+    'migrate',
+    'rollback',
+    'migrationStatus',
+    
+    -- Backups
+    'backup',
+    'restore',
     
     -- oxmysql compatibility
     'single',        -- alias for fetchSingle
     'scalar',        -- alias for fetchScalar
-    'prepare',       -- alias for prepareQuery
+    'prepare',       -- execute with parameter sets (prepare(name, query) registers like prepareQuery)
+    'rawExecute',    -- raw rows / ResultSetHeader
     'execute',       -- general purpose execute
+    'fetch',         -- alias for query
+    'awaitConnection',
+    'query_async',   -- <name>_async: promise variants
+    'single_async',
+    'scalar_async',
+    'insert_async',
+    'update_async',
+    'transaction_async',
+    'prepare_async',
+    'rawExecute_async',
+    'execute_async',
+    'fetch_async',
     
     -- mysql-async compatibility
-    'fetchAll'       -- alias for query
+    'fetchAll',      -- alias for query
+    'store',         -- returns the query text
+    'mysql_execute',
+    'mysql_fetch_all',
+    'mysql_fetch_scalar',
+    'mysql_insert',
+    'mysql_transaction',
+    'mysql_store'
+}
+
+-- oxmysql / mysql-async Lua library, also reachable as @oxmysql/lib/MySQL.lua and @mysql-async/lib/MySQL.lua
+files {
+    'lib/MySQL.lua'
 }
 
 -- Provide compatibility with oxmysql and mysql-async
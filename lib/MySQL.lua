@@ -0,0 +1,123 @@
+-- ====================================================================================--
+-- MySQL.lua - oxmysql / mysql-async compatible Lua library
+-- Resources written for oxmysql or mysql-async load it unchanged through `provide`:
+--   server_script '@oxmysql/lib/MySQL.lua'
+--   server_script '@mysql-async/lib/MySQL.lua'
+-- or directly:
+--   server_script '@ingenium.sql/lib/MySQL.lua'
+-- ====================================================================================--
+
+local sql = exports['ingenium.sql']
+
+--- Call an export and wait for its callback
+---@param exportName string Export to call
+---@param query string SQL query
+---@param parameters table|nil Query parameters
+---@return any Export result
+local function await(exportName, query, parameters)
+    local p = promise.new()
+    sql[exportName](sql, query, parameters or {}, function(result, err)
+        if err then
+            p:reject(err)
+        else
+            p:resolve(result)
+        end
+    end)
+    return Citizen.Await(p)
+end
+
+--- Build MySQL.<name>(query, parameters, cb) with a MySQL.<name>.await(query, parameters) variant
+---@param exportName string Export to call
+---@return table Callable method
+local function method(exportName)
+    return setmetatable({
+        await = function(query, parameters)
+            return await(exportName, query, parameters)
+        end
+    }, {
+        __call = function(_, query, parameters, cb)
+            if type(parameters) == 'function' then
+                cb = parameters
+                parameters = nil
+            end
+            return sql[exportName](sql, query, parameters or {}, cb)
+        end
+    })
+end
+
+--- Wait for a transaction and return whether it committed
+---@param queries table Queries, as {query, values}, {query, parameters} or strings using the shared parameters
+---@param parameters table|nil Shared parameters
+---@return boolean True if committed
+local function awaitTransaction(queries, parameters)
+    local p = promise.new()
+    sql:transaction(queries, parameters or {}, function(success)
+        p:resolve(success == true)
+    end)
+    return Citizen.Await(p)
+end
+
+--- Run a transaction; the callback receives whether it committed
+local function transaction(queries, parameters, cb)
+    if type(parameters) == 'function' then
+        cb = parameters
+        parameters = nil
+    end
+    sql:transaction(queries, parameters or {}, function(success)
+        if cb then cb(success == true) end
+    end)
+end
+
+MySQL = {
+    query = method('query'),
+    single = method('single'),
+    scalar = method('scalar'),
+    insert = method('insert'),
+    update = method('update'),
+    prepare = method('prepare'),
+    rawExecute = method('rawExecute'),
+    transaction = setmetatable({ await = awaitTransaction }, {
+        __call = function(_, queries, parameters, cb)
+            return transaction(queries, parameters, cb)
+        end
+    })
+}
+
+--- Run cb once the database connection is ready
+---@param cb function Callback
+function MySQL.ready(cb)
+    CreateThread(function()
+        sql:awaitReady(0)
+        cb()
+    end)
+end
+
+-- ====================================================================================--
+-- mysql-async API
+-- ====================================================================================--
+
+MySQL.Async = {
+    fetchAll = MySQL.query,
+    fetchSingle = MySQL.single,
+    fetchScalar = MySQL.scalar,
+    insert = MySQL.insert,
+    execute = MySQL.update,
+    prepare = MySQL.prepare,
+    transaction = transaction,
+    store = function(query, cb)
+        cb(query)
+    end
+}
+
+MySQL.Sync = {
+    fetchAll = MySQL.query.await,
+    fetchSingle = MySQL.single.await,
+    fetchScalar = MySQL.scalar.await,
+    insert = MySQL.insert.await,
+    execute = MySQL.update.await,
+    prepare = MySQL.prepare.await,
+    transaction = awaitTransaction,
+    store = function(query)
+        return query
+    end
+}
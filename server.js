@@ -9,12 +9,14 @@
 // Reference the pool from global scope (created by _pool.js)
 // In FiveM, server_scripts share the same global scope
 
-// Prepared queries storage
-let preparedQueries = new Map();
-let queryIdCounter = 0;
+const crypto = require('crypto');
 
-// Cache for compiled regex patterns (performance optimization)
-const regexCache = new Map();
+// Prepared statements, keyed by the stable name chosen at prepare time
+const preparedStatements = new Map();
+
+// Options key carrying the resource a call is attributed to. A symbol, so it survives
+// nested calls but cannot be set by other resources (exports serialize their arguments)
+const CALLER_RESOURCE = Symbol('callerResource');
 
 /**
  * Initialize message
@@ -24,153 +26,269 @@ setImmediate(() => {
 });
 
 /**
- * Get or create a cached regex pattern for a parameter name
- * @param {string} paramName - The parameter name (e.g., "@name")
- * @returns {RegExp} Cached or newly created regex pattern (non-global for replace)
+ * Helper function to process parameters
+ * Converts named parameters (@param, :param) to positional (?) and returns the ordered values
+ * Tokenizing and caching live in _parser.js
+ * @throws {Error} When a parameter is missing
+ */
+function processParameters(query, parameters, userVariables) {
+    return global.sqlParser.processParameters(query, parameters, userVariables);
+}
+
+/**
+ * Helper function to execute callback if provided
+ * @param {*} result - The result to return
+ * @param {Function} callback - Optional callback function
+ * @returns {*} The result
  */
-function getCachedRegex(paramName) {
-    if (!regexCache.has(paramName)) {
-        const escaped = paramName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        // Use non-global regex since replace() replaces all occurrences anyway
-        // and global regex maintains state between calls
-        regexCache.set(paramName, new RegExp(escaped, 'g'));
+function executeCallback(result, callback) {
+    if (callback && typeof callback === 'function') {
+        callback(result);
     }
-    return regexCache.get(paramName);
+    return result;
+}
+
+/**
+ * Error raised when a call arrives before the pool is ready
+ */
+function poolNotReadyError() {
+    const error = new Error('Connection pool is not ready');
+    error.code = 'POOL_NOT_READY';
+    return error;
 }
 
 /**
- * Helper function to process parameters (OPTIMIZED)
- * Converts named parameters (@param) to positional (?) and returns array
+ * Find the pool for a call's `connection` option (default: the main connection)
+ * @param {Object} [options] - Call options ({ connection })
+ * @returns {ConnectionPool}
+ * @throws {Error} When the connection name is not configured in mysql_connections
  */
-function processParameters(query, parameters) {
-    if (!parameters || typeof parameters !== 'object') {
-        return { query, params: [] };
+function resolvePool(options) {
+    const name = options && options.connection;
+    if (!name || name === 'default') {
+        return global.pool;
+    }
+    const pool = global.pools && global.pools.get(name);
+    if (!pool) {
+        const error = new Error(`Unknown database connection '${name}' (add it to mysql_connections)`);
+        error.code = 'UNKNOWN_CONNECTION';
+        throw error;
     }
+    return pool;
+}
 
-    // If parameters is an array, it's already positional
-    if (Array.isArray(parameters)) {
-        return { query, params: parameters };
+/**
+ * Throw unless the call's pool accepts queries
+ * With `options.waitForReady` (milliseconds, or true for the default 30s) the call
+ * waits for the pool to connect or recover instead of failing immediately
+ * @returns {Promise<ConnectionPool>} The ready pool
+ */
+async function ensurePoolReady(options) {
+    const pool = resolvePool(options);
+    if (pool && pool.ready()) {
+        return pool;
+    }
+    const wait = options && options.waitForReady;
+    if (wait && pool && await pool.awaitReady(wait === true ? undefined : parseInt(wait))) {
+        return pool;
     }
+    throw poolNotReadyError();
+}
 
-    // Quick check: if no @ symbol, return early
-    if (query.indexOf('@') === -1) {
-        return { query, params: [] };
+/**
+ * Split the optional (callback, options) arguments of an export
+ * A table passed where the callback is expected is treated as the options
+ * @returns {{ callback: Function|undefined, options: Object }}
+ */
+function resolveCallArgs(callback, options) {
+    if (callback && typeof callback === 'object' && (options === undefined || options === null)) {
+        return { callback: undefined, options: callback };
     }
+    return {
+        callback: typeof callback === 'function' ? callback : undefined,
+        options: options && typeof options === 'object' ? options : {}
+    };
+}
 
-    // Convert named parameters to positional
-    const params = [];
-    let processedQuery = query;
-    
-    // Find all unique @paramName in query and replace with ?
-    const paramNames = query.match(/@\w+/g);
-    if (paramNames) {
-        // Use a Set to track unique parameter names for efficiency
-        const seen = new Set();
-        
-        for (const paramName of paramNames) {
-            // Skip if already processed
-            if (seen.has(paramName)) continue;
-            seen.add(paramName);
-            
-            const key = paramName.substring(1); // Remove @
-            
-            // Skip if parameter value not provided
-            if (!parameters.hasOwnProperty(key)) continue;
-            
-            // Get cached regex pattern
-            const regex = getCachedRegex(paramName);
-            
-            // Count occurrences - match() doesn't modify lastIndex but we create 
-            // a fresh match each time to avoid any state issues
-            const matches = processedQuery.match(regex);
-            const count = matches ? matches.length : 0;
-            
-            // Add the parameter value for each occurrence
-            for (let i = 0; i < count; i++) {
-                params.push(parameters[key]);
-            }
-            
-            // Replace all occurrences with ? (replace with 'g' flag replaces all)
-            processedQuery = processedQuery.replace(regex, '?');
+// Option names of the native exports, to tell an options table from a parameter table
+const CALL_OPTION_KEYS = new Set([
+    'strict', 'retry', 'forcePrimary', 'cache', 'waitForReady', 'timeout', 'priority', 'connection',
+    'typeCast', 'jsonColumns', 'batchSize', 'transactionTimeout', 'type'
+]);
+
+/**
+ * Whether a table only holds call options (as opposed to named query parameters)
+ */
+function isCallOptions(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && Object.keys(value).every((key) => CALL_OPTION_KEYS.has(key));
+}
+
+/**
+ * Whether failures should surface as errors for this call
+ * Per-call `options.strict` wins over the resource's `sql_strict_mode` manifest entry
+ */
+function isStrictCall(options, resource) {
+    if (options.strict !== undefined && options.strict !== null) {
+        return !!options.strict;
+    }
+    return global.sqlErrors.isStrictResource(resource);
+}
+
+/**
+ * Run one statement on the pool, retrying transient failures
+ * Read-only statements are retried by default, writes only when the call is marked safe
+ * Reads with `options.cache` are served from the result cache; writes invalidate it
+ * Rows are type cast per `options.typeCast` (the cache keeps them uncast)
+ * The calling resource must be allowed to run the statement (see _permissions.js)
+ * @param {boolean} [allowReplica] - Send reads to a read replica unless the call sets forcePrimary
+ */
+async function executeWithRetry(sqlQuery, params, options, allowReplica = false) {
+    global.sqlPermissions.check(sqlQuery, options[CALLER_RESOURCE]);
+    const kind = global.sqlRetry.statementKind(sqlQuery);
+    const pool = resolvePool(options);
+    const cacheable = kind === 'read' && options.cache;
+
+    if (cacheable) {
+        const cached = global.sqlCache.get(pool.name, sqlQuery, params);
+        if (cached !== undefined) {
+            return global.sqlTypeCast.apply(cached, global.sqlTypeCast.resolve(options, options[CALLER_RESOURCE]));
         }
     }
 
-    return { query: processedQuery, params };
+    const replica = allowReplica && kind === 'read' && !options.forcePrimary;
+    const results = await global.sqlRetry.run(
+        kind,
+        options,
+        () => pool.execute(sqlQuery, params, { replica, resource: options[CALLER_RESOURCE], timeout: options.timeout, priority: options.priority })
+    );
+
+    if (cacheable) {
+        global.sqlCache.set(pool.name, sqlQuery, params, results, options.cache);
+    } else if (kind === 'write') {
+        global.sqlCache.invalidate(pool.name, sqlQuery);
+    }
+    return global.sqlTypeCast.apply(results, global.sqlTypeCast.resolve(options, options[CALLER_RESOURCE]));
 }
 
 /**
- * Helper function to execute callback if provided
- * @param {*} result - The result to return
- * @param {Function} callback - Optional callback function
- * @returns {*} The result
+ * Run a statement on a dedicated connection (transactions) and record it for the caller
+ * (accounting, the slow query log and the audit log; EXPLAIN runs on the pool, not the transaction)
+ * after checking that the resource may run it
+ * @param {Object} connection - mysql2 connection
+ * @param {string} poolName - Connection name the statement is attributed to
+ * @param {string} resource - Calling resource
+ * @param {number} [timeout] - Statement timeout in ms (default: mysql_query_timeout)
+ * @returns {Promise<*>} Rows or ResultSetHeader
  */
-function executeCallback(result, callback) {
-    if (callback && typeof callback === 'function') {
-        callback(result);
+async function executeOnConnection(connection, poolName, sqlQuery, params, resource, timeout) {
+    global.sqlPermissions.check(sqlQuery, resource);
+    const pool = global.pools.get(poolName);
+    const startTime = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startTime) / 1000000;
+    try {
+        const [result, fields] = await pool.runOnConnection(connection, sqlQuery, params, pool.timeoutFor(timeout));
+        const duration = elapsed();
+        global.sqlAccounting.record(resource, poolName, sqlQuery, duration, result);
+        global.sqlMetrics.observeQuery(poolName, resource, sqlQuery, duration);
+        if (global.sqlSlowLog.observe({ pool: pool.pool, connection: poolName, query: sqlQuery, parameters: params, duration, resource })) {
+            pool.stats.slowQueries++;
+        }
+        global.sqlAudit.record({ connection: poolName, resource, query: sqlQuery, parameters: params, duration, result });
+        return global.sqlTypeCast.attachFields(result, fields);
+    } catch (error) {
+        const duration = elapsed();
+        global.sqlAccounting.record(resource, poolName, sqlQuery, duration, null, true);
+        global.sqlMetrics.observeQuery(poolName, resource, sqlQuery, duration, error);
+        global.sqlAudit.record({ connection: poolName, resource, query: sqlQuery, parameters: params, duration, error });
+        throw error;
     }
-    return result;
 }
 
 /**
  * Helper function to wrap query execution with pool readiness check and error handling
- * @param {Function} asyncFn - The async function to execute
+ *
+ * Default mode: failures are logged and defaultReturn is returned (and passed to the callback).
+ * Strict mode: failures become SqlError objects - the promise rejects, or, when a callback
+ * is given, the callback receives (nil, error) and the promise resolves.
+ *
+ * @param {Function} asyncFn - The async function to execute, receives the resolved options
  * @param {string} errorContext - Context string for error messages
  * @param {*} defaultReturn - Default value to return on error
- * @param {Function} callback - Optional callback function
+ * @param {Function|Object} callback - Optional callback function (or options table)
+ * @param {Object} options - Optional call options ({ strict })
  * @returns {Promise<*>} Result or default value
  */
-async function withPoolCheck(asyncFn, errorContext, defaultReturn, callback) {
+async function withPoolCheck(asyncFn, errorContext, defaultReturn, callback, options) {
+    ({ callback, options } = resolveCallArgs(callback, options));
+    // Captured before the first await, while the invoking resource is still known
+    const resource = options[CALLER_RESOURCE] || GetInvokingResource() || GetCurrentResourceName();
+
     try {
-        if (!global.pool || !global.pool.ready()) {
-            throw new Error('Connection pool is not ready');
-        }
-        const result = await asyncFn();
+        await ensurePoolReady(options);
+        const result = await asyncFn({ ...options, [CALLER_RESOURCE]: resource });
         return executeCallback(result, callback);
-    } catch (error) {
-        console.error(`^1[ig.sql ERROR] ${errorContext}: ${error.message}^7`);
-        return executeCallback(defaultReturn, callback);
+    } catch (caught) {
+        const error = global.sqlErrors.SqlError.from(caught, { resource });
+
+        // Errors raised by a nested export call were already logged there
+        if (!error.reported) {
+            console.error(`^1[ig.sql ERROR] ${errorContext}: ${global.sqlAudit.redactText(error.message)}${error.code ? ` (${error.code})` : ''}^7`);
+            error.reported = true;
+        }
+
+        if (!isStrictCall(options, resource)) {
+            return executeCallback(defaultReturn, callback);
+        }
+        if (callback) {
+            callback(null, error.toJSON());
+            return undefined;
+        }
+        throw error;
     }
 }
 
 /**
  * Execute a SELECT query that returns multiple rows
  */
-async function query(query, parameters, callback) {
+async function query(query, parameters, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const { query: processedQuery, params } = processParameters(query, parameters);
-            return await global.pool.execute(processedQuery, params);
+            return await executeWithRetry(processedQuery, params, opts, true);
         },
         'Query failed',
         [],
-        callback
+        callback,
+        options
     );
 }
 
 /**
  * Execute a SELECT query that returns a single row
  */
-async function fetchSingle(query, parameters, callback) {
+async function fetchSingle(query, parameters, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const { query: processedQuery, params } = processParameters(query, parameters);
-            const results = await global.pool.execute(processedQuery, params);
+            const results = await executeWithRetry(processedQuery, params, opts, true);
             return results.length > 0 ? results[0] : null;
         },
         'FetchSingle failed',
         null,
-        callback
+        callback,
+        options
     );
 }
 
 /**
  * Execute a SELECT query that returns a single value (scalar)
  */
-async function fetchScalar(query, parameters, callback) {
+async function fetchScalar(query, parameters, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const { query: processedQuery, params } = processParameters(query, parameters);
-            const results = await global.pool.execute(processedQuery, params);
+            const results = await executeWithRetry(processedQuery, params, opts, true);
             
             let value = null;
             if (results.length > 0) {
@@ -182,317 +300,1970 @@ async function fetchScalar(query, parameters, callback) {
         },
         'FetchScalar failed',
         null,
-        callback
+        callback,
+        options
     );
 }
 
 /**
  * Execute an INSERT query and return the insert ID
  */
-async function insert(query, parameters, callback) {
+async function insert(query, parameters, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const { query: processedQuery, params } = processParameters(query, parameters);
-            const results = await global.pool.execute(processedQuery, params);
+            const results = await executeWithRetry(processedQuery, params, opts);
             return results.insertId || 0;
         },
         'Insert failed',
         0,
-        callback
+        callback,
+        options
     );
 }
 
 /**
  * Execute an UPDATE or DELETE query and return affected rows
  */
-async function update(query, parameters, callback) {
+async function update(query, parameters, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const { query: processedQuery, params } = processParameters(query, parameters);
-            const results = await global.pool.execute(processedQuery, params);
+            const results = await executeWithRetry(processedQuery, params, opts);
             return results.affectedRows || 0;
         },
         'Update failed',
         0,
-        callback
+        callback,
+        options
     );
 }
 
+/**
+ * One transaction entry as { query, parameters }
+ * Entries are { query, parameters|values }, [query, parameters] or a bare query string;
+ * entries without parameters use the shared parameters of the call
+ */
+function transactionStatement(queryData, shared) {
+    if (typeof queryData === 'string') {
+        return { query: queryData, parameters: shared || [] };
+    }
+    return {
+        query: queryData.query || queryData[0],
+        parameters: queryData.parameters || queryData.values || queryData[1] || shared || []
+    };
+}
+
 /**
  * Execute multiple queries in a transaction
+ * Returns { success, results, error? }; in strict mode a failure rejects instead
+ * (or calls callback(false, [], error) when a callback is given)
+ * A deadlock or lost connection rolls back and retries the whole transaction
+ * oxmysql/mysql-async style transaction(queries, sharedParameters, callback) is accepted too
  */
-async function transaction(queries, callback) {
-    let connection = null;
-    
-    try {
-        if (!global.pool || !global.pool.ready()) {
-            throw new Error('Connection pool is not ready');
-        }
+async function transaction(queries, callback, options) {
+    let shared = null;
+    if (callback && typeof callback === 'object' && (typeof options === 'function' || !isCallOptions(callback))) {
+        shared = callback;
+        callback = options;
+        options = undefined;
+    }
+    ({ callback, options } = resolveCallArgs(callback, options));
+    const resource = options[CALLER_RESOURCE] || GetInvokingResource() || GetCurrentResourceName();
+    const typeCast = global.sqlTypeCast.resolve(options, resource);
+    let currentQuery = null;
 
-        connection = await global.pool.getConnection();
-        await connection.beginTransaction();
+    let pool = null;
 
-        const results = [];
+    // One attempt on its own connection, so a retry starts from a clean slate
+    const attempt = async () => {
+        const connection = await pool.getConnection(options.priority);
+        try {
+            await connection.beginTransaction();
 
-        for (const queryData of queries) {
-            const { query: processedQuery, params } = processParameters(
-                queryData.query || queryData[0],
-                queryData.parameters || queryData[1] || []
-            );
+            const results = [];
+            for (const queryData of queries) {
+                const statement = transactionStatement(queryData, shared);
+                currentQuery = statement.query;
+                const { query: processedQuery, params } = processParameters(currentQuery, statement.parameters);
 
-            const [result] = await connection.execute(processedQuery, params);
-            results.push(result);
+                const result = await executeOnConnection(connection, pool.name, processedQuery, params, resource, options.timeout);
+                results.push(global.sqlTypeCast.apply(result, typeCast));
+            }
+
+            await connection.commit();
+            global.sqlMetrics.observeTransaction(pool.name, 'commit');
+
+            for (const queryData of queries) {
+                global.sqlCache.invalidate(pool.name, transactionStatement(queryData, shared).query);
+            }
+            return results;
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            global.sqlMetrics.observeTransaction(pool.name, 'rollback');
+            throw error;
+        } finally {
+            connection.release();
         }
+    };
+    
+    try {
+        pool = await ensurePoolReady(options);
 
-        await connection.commit();
+        const results = await global.sqlRetry.run('transaction', options, attempt);
 
-        if (callback && typeof callback === 'function') {
+        if (callback) {
             callback(true, results);
         }
 
         return { success: true, results };
-    } catch (error) {
-        if (connection) {
-            await connection.rollback();
+    } catch (caught) {
+        const error = global.sqlErrors.SqlError.from(caught, { resource, query: currentQuery });
+        console.error(`^1[ig.sql ERROR] Transaction failed: ${error.message}${error.code ? ` (${error.code})` : ''}^7`);
+
+        if (isStrictCall(options, resource) && !callback) {
+            throw error;
         }
-        console.error(`^1[ig.sql ERROR] Transaction failed: ${error.message}^7`);
         
-        if (callback && typeof callback === 'function') {
-            callback(false, []);
+        if (callback) {
+            callback(false, [], error.toJSON());
         }
 
-        return { success: false, results: [] };
-    } finally {
-        if (connection) {
-            connection.release();
-        }
+        return { success: false, results: [], error: error.toJSON() };
     }
 }
 
 /**
  * Execute multiple queries as a batch (without transaction)
  */
-async function batch(queries, callback) {
+async function batch(queries, callback, options) {
     return withPoolCheck(
-        async () => {
+        async (opts) => {
             const results = [];
             for (const queryData of queries) {
                 const { query: processedQuery, params } = processParameters(
                     queryData.query || queryData[0],
                     queryData.parameters || queryData[1] || []
                 );
-                const result = await global.pool.execute(processedQuery, params);
+                const result = await executeWithRetry(processedQuery, params, opts);
                 results.push(result);
             }
             return results;
         },
         'Batch failed',
         [],
-        callback
+        callback,
+        options
     );
 }
 
-// Cache for query type detection (performance optimization)
-const queryTypeCache = new Map();
-const QUERY_TYPE_CACHE_MAX_SIZE = 1000; // Increased limit for better caching
+// Rows per statement for bulkInsert unless the call sets chunkSize
+const BULK_CHUNK_ROWS = Math.max(1, parseInt(GetConvar('mysql_bulk_chunk_rows', '1000')) || 1000);
 
 /**
- * Normalize query for caching by removing parameter values
- * This allows caching based on query pattern rather than exact query text
- * @param {string} sqlQuery - The SQL query string
- * @returns {string} Normalized query pattern
+ * Insert many rows with multi-row INSERT statements
+ * Rows are split into chunks by row count and by the server's max_allowed_packet.
+ * Without `transaction` each chunk commits on its own; with it, either every chunk
+ * commits or none does (and a deadlock retries the whole insert)
+ * @param {string} tableName - Table name
+ * @param {Array<Object>} rows - Row objects ({ column: value })
+ * @param {Function|Object} [callback] - Optional callback(summary) (or options table)
+ * @param {Object} [options] - { mode: 'insert'|'ignore'|'upsert', updateColumns, chunkSize, transaction }
+ * @returns {Promise<{ affectedRows: number, insertIds: number[], chunks: number }>}
+ *   insertIds holds the first insert ID of each chunk
  */
-function normalizeQueryForCache(sqlQuery) {
-    // Extract just the first 100 characters to create a pattern key
-    // This balances memory usage with cache effectiveness
-    return sqlQuery.substring(0, 100).trim();
-}
+async function bulkInsert(tableName, rows, callback, options) {
+    return withPoolCheck(
+        async (opts) => {
+            const pool = resolvePool(opts);
+            const maxPacket = await pool.maxAllowedPacket();
+            const chunks = global.sqlBuilder.compileBulkInsert(tableName, rows, {
+                mode: opts.mode || 'insert',
+                updateColumns: opts.updateColumns,
+                maxRows: Math.max(1, parseInt(opts.chunkSize) || BULK_CHUNK_ROWS),
+                // Margin for protocol overhead the size estimate does not cover
+                maxBytes: Math.floor(maxPacket * 0.9)
+            });
 
-/**
- * Detect SQL query type from query string (OPTIMIZED with caching)
- * @param {string} sqlQuery - The SQL query string
- * @returns {string} Query type (SELECT, INSERT, UPDATE, DELETE, or empty string)
- */
-function detectQueryType(sqlQuery) {
-    // Create a normalized cache key to handle queries with different parameters
-    const cacheKey = normalizeQueryForCache(sqlQuery);
-    
-    // For very common queries, check cache first
-    if (queryTypeCache.has(cacheKey)) {
-        return queryTypeCache.get(cacheKey);
-    }
-    
-    // Extract first SQL keyword more robustly (handles leading whitespace and comments)
-    const match = sqlQuery.match(/^\s*(\w+)/i);
-    const queryType = match ? match[1].toUpperCase() : '';
-    
-    // Cache the result (with size limit to prevent unbounded growth)
-    if (queryTypeCache.size < QUERY_TYPE_CACHE_MAX_SIZE) {
-        queryTypeCache.set(cacheKey, queryType);
-    }
-    
-    return queryType;
-}
+            const summary = { affectedRows: 0, insertIds: [], chunks: chunks.length };
+            const addResult = (result) => {
+                summary.affectedRows += result.affectedRows || 0;
+                summary.insertIds.push(result.insertId || 0);
+            };
 
-/**
- * Prepare a query for later execution
- * Returns a query ID that can be used with executePrepared
- */
-function prepareQuery(query) {
-    try {
-        const queryId = `prepared_${++queryIdCounter}`;
-        preparedQueries.set(queryId, query);
-        return queryId;
-    } catch (error) {
-        console.error(`^1[ig.sql ERROR] PrepareQuery failed: ${error.message}^7`);
-        return null;
-    }
+            if (!opts.transaction) {
+                for (let i = 0; i < chunks.length; i++) {
+                    try {
+                        addResult(await executeWithRetry(chunks[i].query, chunks[i].parameters, opts));
+                    } catch (error) {
+                        if (i > 0) {
+                            error.message += ` (chunk ${i + 1}/${chunks.length}; the ${i} chunk(s) before it were inserted)`;
+                        }
+                        throw error;
+                    }
+                }
+                return summary;
+            }
+
+            // One attempt on its own connection, so a retry starts from a clean slate
+            const results = await global.sqlRetry.run('transaction', opts, async () => {
+                const connection = await pool.getConnection(opts.priority);
+                try {
+                    await connection.beginTransaction();
+                    const chunkResults = [];
+                    for (const chunk of chunks) {
+                        chunkResults.push(await executeOnConnection(connection, pool.name, chunk.query, chunk.parameters, opts[CALLER_RESOURCE], opts.timeout));
+                    }
+                    await connection.commit();
+                    global.sqlMetrics.observeTransaction(pool.name, 'commit');
+                    return chunkResults;
+                } catch (error) {
+                    await connection.rollback().catch(() => {});
+                    global.sqlMetrics.observeTransaction(pool.name, 'rollback');
+                    throw error;
+                } finally {
+                    connection.release();
+                }
+            });
+
+            global.sqlCache.invalidate(pool.name, chunks[0].query);
+            results.forEach(addResult);
+            return summary;
+        },
+        'Bulk insert failed',
+        { affectedRows: 0, insertIds: [], chunks: 0 },
+        callback,
+        options
+    );
 }
 
+// ====================================================================================
+// Streaming
+// ====================================================================================
+
+const STREAM_BATCH_SIZE = 500;
+
+// Streams in progress, so a stopping resource can release its connections
+const activeStreams = new Map(); // id -> { resource, cancel }
+let streamIdCounter = 0;
+
 /**
- * Execute a prepared query
+ * Read a result set row by row and hand it over in batches
+ * Reading pauses while onBatch runs, so at most one batch (plus what is already in
+ * the socket buffer) is held in memory
+ * @param {Object} connection - Dedicated pool connection (released or destroyed here)
+ * @param {Function} register - Receives the cancel function of the stream
+ * @param {Object|null} [typeCast] - Type cast settings applied to each batch
+ * @returns {Promise<{ rows: number, batches: number, cancelled: boolean }>}
  */
-async function executePrepared(queryId, parameters, callback) {
-    try {
-        if (!preparedQueries.has(queryId)) {
-            throw new Error(`Prepared query not found: ${queryId}`);
-        }
-        const storedQuery = preparedQueries.get(queryId);
-        return await execute(storedQuery, parameters, callback);
-    } catch (error) {
-        console.error(`^1[ig.sql ERROR] ExecutePrepared failed: ${error.message}^7`);
-        return executeCallback(null, callback);
-    }
+function pipeRows(connection, sqlQuery, params, batchSize, onBatch, register, typeCast = null) {
+    return new Promise((resolve, reject) => {
+        const core = connection.connection;
+        const summary = { rows: 0, batches: 0, cancelled: false };
+        let buffer = [];
+        let fields = null;
+        let delivering = false;
+        let ended = false;
+        let settled = false;
+
+        const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            // A connection with an unread result set cannot be reused: close it instead
+            if (error || !ended) {
+                connection.destroy();
+            } else {
+                connection.release();
+            }
+            if (error) {
+                reject(error);
+            } else {
+                resolve(summary);
+            }
+        };
+        const cancel = () => {
+            summary.cancelled = true;
+            settle();
+        };
+        register(cancel);
+
+        const deliver = async () => {
+            delivering = true;
+            core.pause();
+            try {
+                while (!settled && (buffer.length >= batchSize || (ended && buffer.length > 0))) {
+                    const rows = global.sqlTypeCast.castRows(buffer.splice(0, batchSize), fields, typeCast);
+                    summary.rows += rows.length;
+                    summary.batches++;
+                    if (await onBatch(rows, summary.batches) === false) {
+                        return cancel();
+                    }
+                }
+            } catch (error) {
+                return settle(error);
+            }
+            delivering = false;
+            if (ended) {
+                settle();
+            } else if (!settled) {
+                core.resume();
+            }
+        };
+
+        const pending = core.query(sqlQuery, params);
+        pending.on('fields', (columns) => {
+            fields = columns;
+        });
+        pending.on('result', (row) => {
+            if (settled) return;
+            buffer.push(row);
+            if (!delivering && buffer.length >= batchSize) {
+                deliver();
+            }
+        });
+        pending.on('end', () => {
+            ended = true;
+            if (!delivering) {
+                deliver();
+            }
+        });
+        pending.on('error', (error) => settle(error));
+    });
 }
 
 /**
- * Execute function - compatibility wrapper for oxmysql and mysql-async
- * Automatically routes to the appropriate function based on query type
- * Note: Callbacks are handled by this function's withPoolCheck wrapper, not passed
- * to the underlying query functions, to avoid double-callback invocation.
+ * Stream the rows of a SELECT to a callback in batches, on a dedicated connection
+ * onBatch(rows, batchNumber) is awaited before more rows are read (backpressure);
+ * returning false stops the stream. The stream is cancelled if the calling resource stops.
+ * @param {string} sqlQuery - Read-only SQL query
+ * @param {Array|Object} parameters - Query parameters
+ * @param {Function} onBatch - Receives each batch of rows
+ * @param {Object} [options] - { batchSize } plus the usual call options
+ * @returns {Promise<{ rows: number, batches: number, cancelled: boolean }>}
  */
-async function execute(sqlQuery, parameters, callback) {
+async function stream(sqlQuery, parameters, onBatch, options) {
     return withPoolCheck(
-        async () => {
-            const queryType = detectQueryType(sqlQuery);
-            
-            switch (queryType) {
-                case 'SELECT':
-                    // Call without callback - result will bubble up to our withPoolCheck
-                    return await query(sqlQuery, parameters);
-                case 'INSERT':
-                    return await insert(sqlQuery, parameters);
-                case 'UPDATE':
-                case 'DELETE':
-                    return await update(sqlQuery, parameters);
-                default:
-                    console.warn(`^3[ig.sql WARNING] Unknown query type '${queryType}', defaulting to query handler^7`);
-                    return await query(sqlQuery, parameters);
+        async (opts) => {
+            if (typeof onBatch !== 'function') {
+                const error = new Error('stream requires a batch callback');
+                error.code = 'INVALID_PARAMETERS';
+                throw error;
+            }
+            if (global.sqlRetry.statementKind(sqlQuery) !== 'read') {
+                const error = new Error('stream only runs read-only statements (SELECT, SHOW, ...)');
+                error.code = 'INVALID_QUERY';
+                throw error;
+            }
+
+            const pool = resolvePool(opts);
+            const { query: processedQuery, params } = processParameters(sqlQuery, parameters);
+            global.sqlPermissions.check(processedQuery, opts[CALLER_RESOURCE]);
+            const batchSize = Math.max(1, parseInt(opts.batchSize) || STREAM_BATCH_SIZE);
+            const resource = opts[CALLER_RESOURCE];
+            const connection = await pool.getConnection(opts.priority);
+            const id = ++streamIdCounter;
+            const startTime = process.hrtime.bigint();
+            const elapsed = () => Number(process.hrtime.bigint() - startTime) / 1000000;
+
+            try {
+                const summary = await pipeRows(connection, processedQuery, params, batchSize, onBatch, (cancel) => {
+                    activeStreams.set(id, { resource, cancel });
+                }, global.sqlTypeCast.resolve(opts, resource));
+                const duration = elapsed();
+                global.sqlAccounting.record(resource, pool.name, processedQuery, duration, summary.rows);
+                global.sqlMetrics.observeQuery(pool.name, resource, processedQuery, duration);
+                return summary;
+            } catch (error) {
+                const duration = elapsed();
+                global.sqlAccounting.record(resource, pool.name, processedQuery, duration, null, true);
+                global.sqlMetrics.observeQuery(pool.name, resource, processedQuery, duration, error);
+                throw error;
+            } finally {
+                activeStreams.delete(id);
             }
         },
-        'Execute failed',
-        null,
-        callback
+        'Stream failed',
+        { rows: 0, batches: 0, cancelled: false },
+        undefined,
+        options && typeof options === 'object' ? options : {}
     );
 }
 
-// ====================================================================================
-// Export all functions for use by other resources
-// ====================================================================================
-
-// Primary exports (ingenium.sql native API)
-global.exports('query', query);
-global.exports('fetchSingle', fetchSingle);
-global.exports('fetchScalar', fetchScalar);
-global.exports('insert', insert);
-global.exports('update', update);
-global.exports('transaction', transaction);
-global.exports('batch', batch);
-global.exports('prepareQuery', prepareQuery);
-global.exports('executePrepared', executePrepared);
-global.exports('isReady', () => global.pool ? global.pool.ready() : false);
-global.exports('getStats', () => global.pool ? global.pool.getStats() : null);
+// Cancel streams of a resource that stopped (its callbacks are gone)
+on('onResourceStop', (resourceName) => {
+    for (const [id, active] of activeStreams) {
+        if (active.resource === resourceName || resourceName === GetCurrentResourceName()) {
+            console.log(`^3[ig.sql WARNING] Cancelling stream ${id} of stopped resource ${active.resource}^7`);
+            active.cancel();
+        }
+    }
+});
 
 // ====================================================================================
-// Compatibility exports for oxmysql and mysql-async
+// Interactive Transactions
 // ====================================================================================
-global.exports('single', fetchSingle);        // oxmysql: single = fetchSingle
-global.exports('scalar', fetchScalar);        // oxmysql: scalar = fetchScalar
-global.exports('prepare', prepareQuery);      // oxmysql: prepare = prepareQuery
-global.exports('execute', execute);           // oxmysql/mysql-async: smart execute function
-global.exports('fetchAll', query);            // mysql-async: fetchAll = query
 
-console.log('^2[ig.sql] Server exports registered (with oxmysql/mysql-async compatibility)^7');
+// Open interactive transactions, keyed by id (used for timeout and resource-stop cleanup)
+const openTransactions = new Map();
+let transactionIdCounter = 0;
 
-// ====================================================================================
-// Test Command - Check SQL Connection
-// ====================================================================================
+// Abandoned handles are rolled back after this many milliseconds
+const TRANSACTION_TIMEOUT = parseInt(GetConvar('mysql_transaction_timeout', '30000'));
 
 /**
- * Register /sqlcheck command to test database connection
- * Checks if the 'db' database exists
+ * A transaction bound to one pooled connection
+ * Nested scopes share the connection and map to SAVEPOINTs
  */
-RegisterCommand('sqlcheck', async (source, args, rawCommand) => {
-    try {
-        const playerId = source;
-        
-        // Check if pool is ready
-        if (!global.pool || !global.pool.ready()) {
-            const message = '^1[SQL Check] Database connection pool is not ready^7';
-            console.log(message);
-            if (playerId > 0) {
-                emitNet('chat:addMessage', playerId, {
-                    color: [255, 0, 0],
-                    multiline: true,
-                    args: ['SQL Check', 'Database connection pool is not ready']
-                });
-            }
-            return;
+class InteractiveTransaction {
+    constructor(connection, resource, timeout, poolName = 'default', queryTimeout = undefined, typeCast = null) {
+        this.id = ++transactionIdCounter;
+        this.connection = connection;
+        this.resource = resource;
+        this.poolName = poolName;
+        this.queryTimeout = queryTimeout;  // Per-statement timeout (undefined: mysql_query_timeout)
+        this.typeCast = typeCast;          // Type cast settings resolved at begin
+        this.writes = [];  // Statements to invalidate in the result cache on commit
+        this.closed = false;
+        this.closeReason = null;
+        this.savepointCounter = 0;
+        this.timer = setTimeout(() => {
+            console.error(`^1[ig.sql ERROR] Transaction ${this.id} from ${this.resource} timed out after ${timeout}ms and was rolled back^7`);
+            this.expire('timed out');
+        }, timeout);
+    }
+
+    /**
+     * Throw if the transaction can no longer be used
+     */
+    assertOpen() {
+        if (this.closed) {
+            throw new Error(`Transaction ${this.id} is ${this.closeReason}`);
         }
+    }
 
-        // Test query to check if database 'db' exists
-        const testQuery = "SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = 'db'";
-        
-        console.log('^3[SQL Check] Testing database connection...^7');
-        
-        const result = await query(testQuery, []);
-        
-        if (result && result.length > 0) {
-            const successMessage = `^2[SQL Check] SUCCESS: Database 'db' exists and is accessible^7`;
-            console.log(successMessage);
-            console.log(`^2[SQL Check] Pool Stats: ${JSON.stringify(global.pool.getStats())}^7`);
-            
-            if (playerId > 0) {
-                emitNet('chat:addMessage', playerId, {
-                    color: [0, 255, 0],
-                    multiline: true,
-                    args: ['SQL Check', `✓ SUCCESS: Database 'db' exists and is accessible`]
-                });
+    /**
+     * Run a query on the transaction connection
+     */
+    async run(sqlQuery, parameters) {
+        this.assertOpen();
+        try {
+            const { query: processedQuery, params } = processParameters(sqlQuery, parameters);
+            const result = await executeOnConnection(this.connection, this.poolName, processedQuery, params, this.resource, this.queryTimeout);
+            if (global.sqlRetry.statementKind(processedQuery) === 'write') {
+                this.writes.push(processedQuery);
             }
-        } else {
-            const notFoundMessage = `^3[SQL Check] WARNING: Database 'db' does not exist^7`;
-            console.log(notFoundMessage);
-            
-            if (playerId > 0) {
-                emitNet('chat:addMessage', playerId, {
-                    color: [255, 165, 0],
-                    multiline: true,
-                    args: ['SQL Check', `⚠ WARNING: Database 'db' does not exist`]
-                });
+            return global.sqlTypeCast.apply(result, this.typeCast);
+        } catch (error) {
+            throw global.sqlErrors.SqlError.from(error, { resource: this.resource, query: sqlQuery });
+        }
+    }
+
+    async commit() {
+        this.assertOpen();
+        try {
+            await this.connection.commit();
+            global.sqlMetrics.observeTransaction(this.poolName, 'commit');
+            for (const sqlQuery of this.writes) {
+                global.sqlCache.invalidate(this.poolName, sqlQuery);
             }
+        } finally {
+            this.close('committed');
         }
-    } catch (error) {
-        const errorMessage = `^1[SQL Check] ERROR: ${error.message}^7`;
-        console.error(errorMessage);
-        
-        if (source > 0) {
-            emitNet('chat:addMessage', source, {
-                color: [255, 0, 0],
-                multiline: true,
-                args: ['SQL Check', `✗ ERROR: ${error.message}`]
-            });
+    }
+
+    async rollback() {
+        this.assertOpen();
+        try {
+            await this.connection.rollback();
+            global.sqlMetrics.observeTransaction(this.poolName, 'rollback');
+        } finally {
+            this.close('rolled back');
         }
     }
-}, false); // false = can be run by anyone (not restricted to admins)
 
-console.log('^2[ingenium.sql] /sqlcheck command registered^7');
+    /**
+     * Roll back and release the connection of an abandoned transaction
+     * @param {string} reason - Why the transaction is being discarded
+     */
+    async expire(reason) {
+        if (this.closed) return;
+        this.closed = true;
+        this.closeReason = reason;
+        try {
+            await this.connection.rollback();
+            global.sqlMetrics.observeTransaction(this.poolName, 'rollback');
+        } catch (error) {
+            // Connection is released either way
+        }
+        this.close(reason);
+    }
+
+    /**
+     * Mark closed and return the connection to the pool (idempotent)
+     */
+    close(reason) {
+        if (!openTransactions.has(this.id)) return;
+        this.closed = true;
+        this.closeReason = reason;
+        clearTimeout(this.timer);
+        openTransactions.delete(this.id);
+        this.connection.release();
+    }
+}
+
+/**
+ * Build the caller-facing handle for a transaction scope
+ * Handles are plain objects of closures so they survive being passed to Lua
+ * @param {InteractiveTransaction} trx - Underlying transaction
+ * @param {string|null} savepoint - Savepoint name for nested scopes, null for the root scope
+ * @returns {Object} Transaction handle
+ */
+function createTransactionHandle(trx, savepoint = null) {
+    const scope = { closed: false, children: [] };
+
+    const assertScopeOpen = () => {
+        trx.assertOpen();
+        if (scope.closed) {
+            throw new Error(`Savepoint ${savepoint} is already released`);
+        }
+    };
+
+    const run = async (sqlQuery, parameters) => {
+        assertScopeOpen();
+        return await trx.run(sqlQuery, parameters);
+    };
+
+    // Closing a scope implicitly closes every nested scope still open, at any depth
+    const closeScope = (target = scope) => {
+        target.closed = true;
+        target.children.forEach(closeScope);
+    };
+
+    const handle = {
+        id: trx.id,
+
+        query: async (sqlQuery, parameters) => await run(sqlQuery, parameters),
+
+        fetchSingle: async (sqlQuery, parameters) => {
+            const rows = await run(sqlQuery, parameters);
+            return rows.length > 0 ? rows[0] : null;
+        },
+
+        fetchScalar: async (sqlQuery, parameters) => {
+            const rows = await run(sqlQuery, parameters);
+            if (rows.length === 0) return null;
+            const firstRow = rows[0];
+            return firstRow[Object.keys(firstRow)[0]];
+        },
+
+        insert: async (sqlQuery, parameters) => {
+            const result = await run(sqlQuery, parameters);
+            return result.insertId || 0;
+        },
+
+        update: async (sqlQuery, parameters) => {
+            const result = await run(sqlQuery, parameters);
+            return result.affectedRows || 0;
+        },
+
+        /**
+         * Open a nested scope backed by a SAVEPOINT
+         * @returns {Promise<Object>} Child handle; commit releases the savepoint, rollback reverts to it
+         */
+        begin: async () => {
+            assertScopeOpen();
+            const name = `ig_sp_${++trx.savepointCounter}`;
+            await trx.connection.query(`SAVEPOINT ${name}`);
+            const child = createTransactionHandle(trx, name);
+            scope.children.push(child._scope);
+            return child;
+        },
+
+        /**
+         * Run fn(handle) in a nested scope: released if it resolves, reverted if it throws or returns false
+         * @returns {Promise<boolean>} True if the nested scope was kept
+         */
+        transaction: async (fn) => {
+            const child = await handle.begin();
+            return await runTransactionScope(child, fn);
+        },
+
+        commit: async () => {
+            assertScopeOpen();
+            if (savepoint) {
+                await trx.connection.query(`RELEASE SAVEPOINT ${savepoint}`);
+            } else {
+                await trx.commit();
+            }
+            closeScope();
+            return true;
+        },
+
+        rollback: async () => {
+            assertScopeOpen();
+            if (savepoint) {
+                await trx.connection.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+            } else {
+                await trx.rollback();
+            }
+            closeScope();
+            return true;
+        },
+
+        isOpen: () => !trx.closed && !scope.closed
+    };
+
+    Object.defineProperty(handle, '_scope', { value: scope, enumerable: false });
+    return handle;
+}
+
+/**
+ * Run fn(handle) and commit or roll back the handle depending on the outcome
+ * @returns {Promise<boolean>} True if committed
+ */
+async function runTransactionScope(handle, fn) {
+    try {
+        const result = await fn(handle);
+        if (result === false) {
+            if (handle.isOpen()) await handle.rollback();
+            return false;
+        }
+        if (handle.isOpen()) await handle.commit();
+        return true;
+    } catch (error) {
+        console.error(`^1[ig.sql ERROR] Transaction ${handle.id} failed: ${error.message}^7`);
+        if (handle.isOpen()) {
+            await handle.rollback().catch(() => {});
+        }
+        return false;
+    }
+}
+
+/**
+ * Begin an interactive transaction
+ * The caller must commit or roll back; otherwise the transaction is rolled back after the timeout
+ * @param {Object} [options] - { transactionTimeout } rolls the transaction back after this many ms
+ *   (default: mysql_transaction_timeout), { timeout } kills a single statement after this many ms
+ *   (default: mysql_query_timeout, as for the other exports), { waitForReady },
+ *   { typeCast } for the rows of every statement in the transaction
+ * @returns {Promise<Object|null>} Transaction handle, or null if the pool is not ready
+ */
+async function beginTransaction(options) {
+    const resource = GetInvokingResource() || GetCurrentResourceName();
+    const timeout = (options && parseInt(options.transactionTimeout)) || TRANSACTION_TIMEOUT;
+
+    return withPoolCheck(
+        async (opts) => {
+            const pool = resolvePool(opts);
+            const connection = await pool.getConnection(opts.priority);
+            try {
+                await connection.beginTransaction();
+            } catch (error) {
+                connection.release();
+                throw error;
+            }
+
+            const trx = new InteractiveTransaction(connection, resource, timeout, pool.name, opts.timeout,
+                global.sqlTypeCast.resolve(opts, resource));
+            openTransactions.set(trx.id, trx);
+            return createTransactionHandle(trx);
+        },
+        'BeginTransaction failed',
+        null,
+        undefined,
+        options
+    );
+}
+
+/**
+ * Run fn(handle) inside a transaction
+ * Commits when fn resolves, rolls back when it throws or returns false
+ * @param {Function} fn - async (handle) => boolean|void
+ * @param {Object} [options] - { transactionTimeout, timeout } in milliseconds, see beginTransaction
+ * @returns {Promise<boolean>} True if committed
+ */
+async function startTransaction(fn, options) {
+    const handle = await beginTransaction(options);
+    if (!handle) {
+        return false;
+    }
+    return await runTransactionScope(handle, fn);
+}
+
+// Roll back transactions left open by a resource that stopped
+on('onResourceStop', (resourceName) => {
+    for (const trx of openTransactions.values()) {
+        if (trx.resource === resourceName || resourceName === GetCurrentResourceName()) {
+            console.log(`^3[ig.sql WARNING] Rolling back transaction ${trx.id} left open by ${trx.resource}^7`);
+            trx.expire('abandoned');
+        }
+    }
+});
+
+/**
+ * Detect the statement type of a query (analysis is cached per query text by the parser)
+ * Leading comments are skipped and `WITH ... SELECT` reports the statement after the CTEs
+ * @param {string} sqlQuery - The SQL query string
+ * @returns {string} Main keyword (SELECT, INSERT, REPLACE, UPDATE, DELETE, CALL, SHOW, ...),
+ *   UPSERT for INSERT ... ON DUPLICATE KEY UPDATE, or an empty string
+ */
+function detectQueryType(sqlQuery) {
+    const { type, upsert } = global.sqlParser.analyze(sqlQuery);
+    return upsert ? 'UPSERT' : type;
+}
+
+// Result shapes a prepared statement can be fixed to, with the value returned on failure
+const PREPARED_RESULT_TYPES = {
+    rows: { shape: (results) => results, fallback: [] },
+    single: { shape: (results) => (results.length > 0 ? results[0] : null), fallback: null },
+    scalar: {
+        shape: (results) => {
+            if (results.length === 0) return null;
+            const firstRow = results[0];
+            return firstRow[Object.keys(firstRow)[0]];
+        },
+        fallback: null
+    },
+    insert: { shape: (results) => results.insertId || 0, fallback: 0 },
+    update: { shape: (results) => results.affectedRows || 0, fallback: 0 }
+};
+
+/**
+ * Pick the default result shape for a query from its statement type
+ */
+function defaultPreparedType(sqlQuery) {
+    switch (detectQueryType(sqlQuery)) {
+        case 'INSERT':
+        case 'REPLACE':
+            return 'insert';
+        case 'UPDATE':
+        case 'DELETE':
+        case 'UPSERT':
+            return 'update';
+        default:
+            return 'rows';
+    }
+}
+
+/**
+ * Prepare a statement on the server and register it under a stable name
+ *
+ * Signatures:
+ *   prepareQuery(name, query, options) - caller-chosen name (recommended)
+ *   prepareQuery(query, options)       - name derived from the query text
+ *
+ * The statement is prepared on a pooled connection so syntax errors, unknown
+ * tables/columns and parameter count mismatches are reported now rather than
+ * on first use. Preparing the same name and query again is a no-op, so
+ * resources can re-prepare on every start.
+ *
+ * @param {Object} [options] - { type: 'rows'|'single'|'scalar'|'insert'|'update', strict, connection }
+ * @returns {Promise<string|null>} Statement name, or null if preparation failed
+ */
+async function prepareQuery(nameOrQuery, queryOrOptions, options) {
+    const resource = GetInvokingResource() || GetCurrentResourceName();
+
+    let name;
+    let sqlQuery;
+    if (typeof queryOrOptions === 'string') {
+        name = nameOrQuery;
+        sqlQuery = queryOrOptions;
+    } else {
+        sqlQuery = nameOrQuery;
+        options = queryOrOptions;
+        name = typeof sqlQuery === 'string'
+            ? `prepared_${crypto.createHash('sha1').update(sqlQuery).digest('hex').substring(0, 16)}`
+            : null;
+    }
+    options = options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+
+    return withPoolCheck(
+        async () => {
+            if (!name || typeof sqlQuery !== 'string') {
+                throw new Error('prepareQuery requires a name and a query string');
+            }
+
+            const type = options.type || defaultPreparedType(sqlQuery);
+            const connectionName = options.connection || 'default';
+            if (!PREPARED_RESULT_TYPES[type]) {
+                throw new Error(`Unknown result type '${type}' (expected ${Object.keys(PREPARED_RESULT_TYPES).join(', ')})`);
+            }
+
+            // Idempotent re-prepare
+            const existing = preparedStatements.get(name);
+            if (existing && existing.query === sqlQuery && existing.type === type && existing.connection === connectionName) {
+                existing.resource = resource;
+                return name;
+            }
+
+            // Named placeholders become '?', assigned user variables stay as they are
+            const { placeholders, assigned } = global.sqlParser.compile(sqlQuery);
+            const named = placeholders.some((p) => p.type === 'named' && !(p.prefix === '@' && assigned.has(p.name)));
+            let positionalQuery = sqlQuery;
+            let expected = placeholders.filter((p) => p.type === 'positional').length;
+            if (named) {
+                const template = {};
+                for (const placeholder of placeholders) {
+                    if (placeholder.type === 'named' && !(placeholder.prefix === '@' && assigned.has(placeholder.name))) {
+                        template[placeholder.name] = null;
+                    }
+                }
+                const converted = processParameters(sqlQuery, template);
+                positionalQuery = converted.query;
+                expected = converted.params.length;
+            }
+
+            // Validate against the server; mysql2 keeps the statement in the
+            // connection's cache, so executes on this connection reuse it
+            const connection = await resolvePool(options).getConnection(options.priority);
+            let paramCount;
+            try {
+                // mysql2's promise wrapper holds the server's statement info in .statement
+                const { statement } = await connection.prepare(positionalQuery);
+                if (!statement || !Array.isArray(statement.parameters)) {
+                    throw new Error(`Prepared statement '${name}': the server did not report its parameters`);
+                }
+                paramCount = statement.parameters.length;
+            } finally {
+                connection.release();
+            }
+
+            if (paramCount !== expected) {
+                throw new Error(`Prepared statement '${name}' has ${paramCount} parameter(s) on the server but ${expected} placeholder(s) in the query`);
+            }
+
+            if (existing) {
+                console.log(`^3[ig.sql WARNING] Prepared statement '${name}' re-prepared with a different query^7`);
+            }
+
+            preparedStatements.set(name, {
+                name,
+                query: sqlQuery,
+                type,
+                paramCount,
+                named,
+                connection: connectionName,
+                resource
+            });
+
+            return name;
+        },
+        `PrepareQuery failed (${name})`,
+        null,
+        undefined,
+        options
+    );
+}
+
+/**
+ * Execute a prepared statement by name
+ * The result shape is the one chosen when the statement was prepared
+ * @param {string} name - Statement name returned by prepareQuery
+ * @param {Array|Object} parameters - Positional array or named object
+ * @param {Function} [callback] - Optional callback(result)
+ */
+async function executePrepared(name, parameters, callback, options) {
+    const statement = preparedStatements.get(name);
+    const resultType = PREPARED_RESULT_TYPES[statement ? statement.type : 'rows'];
+
+    // Always runs on the connection the statement was prepared for
+    ({ callback, options } = resolveCallArgs(callback, options));
+    if (statement) {
+        options = { ...options, connection: statement.connection };
+    }
+
+    return withPoolCheck(
+        async (opts) => {
+            if (!statement) {
+                throw new Error(`Prepared statement not found: ${name}`);
+            }
+
+            const { query: processedQuery, params } = processParameters(statement.query, parameters);
+            if (params.length !== statement.paramCount) {
+                throw new Error(`Prepared statement '${name}' expects ${statement.paramCount} parameter(s) but ${params.length} were given`);
+            }
+
+            const results = await executeWithRetry(processedQuery, params, opts);
+            return resultType.shape(results);
+        },
+        `ExecutePrepared failed (${name})`,
+        resultType.fallback,
+        callback,
+        options
+    );
+}
+
+/**
+ * Release a prepared statement
+ * @param {string} name - Statement name
+ * @returns {boolean} True if the statement existed
+ */
+function releasePrepared(name) {
+    return preparedStatements.delete(name);
+}
+
+// Prepared statements are owned by the resource that last prepared them
+on('onResourceStop', (resourceName) => {
+    for (const [name, statement] of preparedStatements) {
+        if (statement.resource === resourceName) {
+            preparedStatements.delete(name);
+        }
+    }
+});
+
+// Result shapes execute returns: those of prepared statements, plus the raw result and
+// stored procedure result sets
+const EXECUTE_RESULT_TYPES = {
+    ...PREPARED_RESULT_TYPES,
+    raw: { shape: (results) => results, fallback: null },
+    call: {
+        // [set1, ..., ResultSetHeader]: the rows of a single result set, else every set
+        shape: (results) => {
+            if (!Array.isArray(results)) return results.affectedRows || 0;
+            const sets = results.filter(Array.isArray);
+            return sets.length === 1 ? sets[0] : sets;
+        },
+        fallback: null
+    }
+};
+
+/**
+ * Result shape execute returns for a statement type (see detectQueryType)
+ */
+function executeResultType(queryType) {
+    switch (queryType) {
+        case 'SELECT':
+        case 'SHOW':
+        case 'DESCRIBE':
+        case 'DESC':
+        case 'EXPLAIN':
+        case 'TABLE':
+        case 'VALUES':
+            return 'rows';
+        case 'INSERT':
+        case 'REPLACE':
+            return 'insert';
+        case 'UPDATE':
+        case 'DELETE':
+        case 'UPSERT':
+            return 'update';
+        case 'CALL':
+            return 'call';
+        default:
+            return 'raw';
+    }
+}
+
+/**
+ * Run the statements of a multi-statement query in order on one connection, so user
+ * variables and LAST_INSERT_ID() carry over between them (not a transaction)
+ * Positional parameters are handed out in placeholder order; named parameters are shared
+ * @returns {Promise<Array>} Result of each statement as returned by the server
+ */
+async function executeStatements(statements, parameters, options) {
+    const pool = resolvePool(options);
+    const resource = options[CALLER_RESOURCE];
+    const typeCast = global.sqlTypeCast.resolve(options, resource);
+    const positional = Array.isArray(parameters) ? parameters.slice() : null;
+    // @variables assigned anywhere in the query stay user variables in every statement
+    const userVariables = global.sqlParser.compile(statements.join(';\n')).assigned;
+    // Refuse the whole query before any of its statements runs
+    statements.forEach((statement) => global.sqlPermissions.check(statement, resource));
+    const connection = await pool.getConnection(options.priority);
+    try {
+        const results = [];
+        for (const statement of statements) {
+            let statementParameters = parameters;
+            if (positional) {
+                const count = global.sqlParser.compile(statement).placeholders.filter((p) => p.type === 'positional').length;
+                statementParameters = positional.splice(0, count);
+            }
+            const { query: processedQuery, params } = processParameters(statement, statementParameters, userVariables);
+            const result = await executeOnConnection(connection, pool.name, processedQuery, params, resource, options.timeout);
+            if (global.sqlRetry.statementKind(processedQuery) === 'write') {
+                global.sqlCache.invalidate(pool.name, processedQuery);
+            }
+            results.push(global.sqlTypeCast.apply(result, typeCast));
+        }
+        return results;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Execute function - compatibility wrapper for oxmysql and mysql-async
+ * Returns the shape matching the statement: rows for reads (SELECT, WITH ... SELECT, SHOW, ...),
+ * insert ID for INSERT/REPLACE, affected rows for UPDATE/DELETE/upserts, the result set(s)
+ * of a CALL and the raw result of anything else. `options.type` ('rows', 'single', 'scalar',
+ * 'insert', 'update', 'raw') overrides the detection.
+ * A query holding several statements returns an array with each statement's raw result.
+ */
+async function execute(sqlQuery, parameters, callback, options) {
+    ({ callback, options } = resolveCallArgs(callback, options));
+    const requested = EXECUTE_RESULT_TYPES[options.type] ? options.type : null;
+
+    return withPoolCheck(
+        async (opts) => {
+            if (opts.type && !requested) {
+                const error = new Error(`Unknown result type '${opts.type}' (expected ${Object.keys(EXECUTE_RESULT_TYPES).join(', ')})`);
+                error.code = 'INVALID_PARAMETERS';
+                throw error;
+            }
+
+            const { statements } = global.sqlParser.analyze(sqlQuery);
+            if (statements.length > 1) {
+                return await executeStatements(statements, parameters, opts);
+            }
+
+            const resultType = requested || executeResultType(detectQueryType(sqlQuery));
+            const { query: processedQuery, params } = processParameters(sqlQuery, parameters);
+            const results = await executeWithRetry(processedQuery, params, opts, true);
+            return EXECUTE_RESULT_TYPES[resultType].shape(results);
+        },
+        'Execute failed',
+        requested ? EXECUTE_RESULT_TYPES[requested].fallback : null,
+        callback,
+        options
+    );
+}
+
+/**
+ * Whether oxmysql-style parameters hold several parameter sets ({ {1}, {2} } or { {id = 1}, {id = 2} })
+ */
+function isParameterSets(parameters) {
+    return Array.isArray(parameters) && parameters.length > 0
+        && parameters.every((set) => set !== null && typeof set === 'object' && !Buffer.isBuffer(set));
+}
+
+/**
+ * Run a statement once per parameter set (or once for plain parameters)
+ * @param {Function} shape - Applied to each raw result
+ * @returns {Promise<*>} The shaped result, or an array of them for parameter sets
+ */
+async function executeParameterSets(sqlQuery, parameters, options, shape) {
+    const batched = isParameterSets(parameters);
+    const results = [];
+    for (const set of batched ? parameters : [parameters]) {
+        const { query: processedQuery, params } = processParameters(sqlQuery, set || []);
+        results.push(shape(processedQuery, await executeWithRetry(processedQuery, params, options)));
+    }
+    return batched ? results : results[0];
+}
+
+/**
+ * oxmysql prepare result: a value for one column of one row, the row for one row,
+ * the rows otherwise (null for none); insertId for INSERT and REPLACE, affectedRows for other writes
+ */
+function shapeOxPrepared(sqlQuery, results) {
+    if (!Array.isArray(results)) {
+        const type = detectQueryType(sqlQuery);
+        return type === 'INSERT' || type === 'REPLACE' ? results.insertId : results.affectedRows;
+    }
+    if (results.length === 0) {
+        return null;
+    }
+    if (results.length > 1) {
+        return results;
+    }
+    const columns = Object.keys(results[0]);
+    return columns.length === 1 ? results[0][columns[0]] : results[0];
+}
+
+/**
+ * prepare - oxmysql semantics: run a statement, once per parameter set when given several
+ * prepare(name, query[, options]) keeps registering a named statement like prepareQuery,
+ * so existing ingenium.sql callers are unaffected
+ */
+async function prepare(sqlQuery, parameters, callback, options) {
+    if (typeof parameters === 'string') {
+        return prepareQuery(sqlQuery, parameters, callback);
+    }
+
+    return withPoolCheck(
+        async (opts) => await executeParameterSets(sqlQuery, parameters, opts, shapeOxPrepared),
+        'Prepare failed',
+        null,
+        callback,
+        options
+    );
+}
+
+/**
+ * rawExecute - oxmysql: rows or ResultSetHeader exactly as returned, once per parameter set
+ */
+async function rawExecute(sqlQuery, parameters, callback, options) {
+    return withPoolCheck(
+        async (opts) => await executeParameterSets(sqlQuery, parameters, opts, (processedQuery, results) => results),
+        'RawExecute failed',
+        null,
+        callback,
+        options
+    );
+}
+
+/**
+ * store - mysql-async: statements are not stored server-side; the query text is its own id
+ */
+function storeQuery(sqlQuery, callback) {
+    return executeCallback(sqlQuery, callback);
+}
+
+/**
+ * Look up a pool by connection name without throwing
+ * @param {string} [name] - Connection name (default: the main connection)
+ * @returns {ConnectionPool|null}
+ */
+function findPool(name) {
+    try {
+        return resolvePool({ connection: name });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a connection accepts queries
+ * @param {string} [connectionName] - Connection name (default: the main connection)
+ * @returns {boolean}
+ */
+function isReady(connectionName) {
+    const pool = findPool(connectionName);
+    return pool ? pool.ready() : false;
+}
+
+/**
+ * Wait until the pool accepts queries (startup or recovery after a lost connection)
+ * @param {number} [timeout] - Milliseconds to wait (default 30000, 0 waits forever)
+ * @param {Function} [callback] - Optional callback(ready)
+ * @param {string} [connectionName] - Connection name (default: the main connection)
+ * @returns {Promise<boolean>} True if ready, false on timeout
+ */
+async function awaitReady(timeout, callback, connectionName) {
+    if (typeof timeout === 'function') {
+        connectionName = callback;
+        callback = timeout;
+        timeout = undefined;
+    }
+    const pool = findPool(connectionName);
+    const ready = pool
+        ? await pool.awaitReady(timeout === undefined || timeout === null ? undefined : parseInt(timeout))
+        : false;
+    return executeCallback(ready, typeof callback === 'function' ? callback : undefined);
+}
+
+/**
+ * Statistics for one connection
+ * The default connection's stats also list every named connection under `connections`
+ * @param {string|Object} [connection] - Connection name, or { connection, byResource, topQueries }
+ *   byResource adds `resources`: per calling resource (across all connections) counters,
+ *   latency percentiles and the `topQueries` (default 10) fingerprints by total time
+ * @returns {Object|null}
+ */
+function getStats(connection) {
+    const options = connection && typeof connection === 'object' ? connection : { connection };
+    const pool = findPool(options.connection);
+    if (!pool) {
+        return null;
+    }
+
+    const stats = pool.getStats();
+    if (pool === global.pool && global.pools && global.pools.size > 1) {
+        stats.connections = {};
+        for (const [poolName, namedPool] of global.pools) {
+            if (namedPool !== global.pool) {
+                stats.connections[poolName] = namedPool.getStats();
+            }
+        }
+    }
+    if (options.byResource) {
+        stats.resources = global.sqlAccounting.getStats(Math.max(0, parseInt(options.topQueries) || 10));
+        stats.resourcesSince = global.sqlAccounting.since;
+    }
+    return stats;
+}
+
+/**
+ * Get recorded slow queries, newest first
+ * @param {Object} [options] - { limit (default 50), resource, connection, since (ms timestamp or date string),
+ *                             minDuration, search (text in the query), fromFile (search the slow log file
+ *                             instead of the in-memory list, which holds the last 200) }
+ * @param {Function} [callback] - Optional callback(records)
+ * @returns {Promise<Array<Object>>} { time, timestamp, resource, connection, duration, query, parameters,
+ *                                    fingerprint, explain, explainError? }
+ */
+async function getSlowQueries(options, callback) {
+    if (typeof options === 'function') {
+        [options, callback] = [{}, options];
+    }
+    let records;
+    try {
+        records = await global.sqlSlowLog.search(options || {});
+    } catch (error) {
+        console.error(`^1[ig.sql ERROR] GetSlowQueries failed: ${error.message}^7`);
+        records = [];
+    }
+    return executeCallback(records, callback);
+}
+
+/**
+ * Search the audit log of write statements, newest first (needs mysql_audit_log)
+ * @param {Object} [options] - { limit (default 50), resource, connection, type (INSERT, UPDATE, ...),
+ *                             since (ms timestamp or date string), search (text in the query), failed }
+ * @param {Function} [callback] - Optional callback(records)
+ * @returns {Promise<Array<Object>>} { time, timestamp, resource, connection, type, duration, query,
+ *                                    parameters, affectedRows?, insertId?, error?, code? }
+ */
+async function getAuditLog(options, callback) {
+    if (typeof options === 'function') {
+        [options, callback] = [{}, options];
+    }
+    let records;
+    try {
+        records = await global.sqlAudit.search(options || {});
+    } catch (error) {
+        console.error(`^1[ig.sql ERROR] GetAuditLog failed: ${error.message}^7`);
+        records = [];
+    }
+    return executeCallback(records, callback);
+}
+
+/**
+ * Get an API bound to a named connection
+ * Every function of the handle behaves like the export of the same name with
+ * `connection` set; the handle is a plain object of closures so Lua can use it
+ * @param {string} [name] - Connection name (default: the main connection)
+ * @returns {Object|null} Connection handle, or null if the name is not configured
+ */
+function getConnection(name) {
+    const connection = name || 'default';
+    const pool = findPool(connection);
+    if (!pool) {
+        console.error(`^1[ig.sql ERROR] Unknown database connection '${connection}' (add it to mysql_connections)^7`);
+        return null;
+    }
+
+    // (query, parameters, callback, options) exports
+    const bindQuery = (fn) => (sqlQuery, parameters, callback, options) => {
+        ({ callback, options } = resolveCallArgs(callback, options));
+        return fn(sqlQuery, parameters, callback, { ...options, connection });
+    };
+    // (queries, callback, options) exports
+    const bindList = (fn) => (queries, callback, options) => {
+        ({ callback, options } = resolveCallArgs(callback, options));
+        return fn(queries, callback, { ...options, connection });
+    };
+
+    return {
+        name: connection,
+        query: bindQuery(query),
+        fetchSingle: bindQuery(fetchSingle),
+        fetchScalar: bindQuery(fetchScalar),
+        insert: bindQuery(insert),
+        update: bindQuery(update),
+        execute: bindQuery(execute),
+        transaction: bindList(transaction),
+        batch: bindList(batch),
+        stream: (sqlQuery, parameters, onBatch, options) => stream(sqlQuery, parameters, onBatch, { ...options, connection }),
+        bulkInsert: (tableName, rows, callback, options) => {
+            ({ callback, options } = resolveCallArgs(callback, options));
+            return bulkInsert(tableName, rows, callback, { ...options, connection });
+        },
+        beginTransaction: (options) => beginTransaction({ ...options, connection }),
+        startTransaction: (fn, options) => startTransaction(fn, { ...options, connection }),
+        prepareQuery: (statementName, sqlQuery, options) => (typeof sqlQuery === 'string'
+            ? prepareQuery(statementName, sqlQuery, { ...options, connection })
+            : prepareQuery(statementName, { ...sqlQuery, connection })),
+        isReady: () => pool.ready(),
+        awaitReady: (timeout, callback) => awaitReady(timeout, callback, connection),
+        getStats: () => pool.getStats(),
+        table: (tableName, options) => table(tableName, { ...options, connection })
+    };
+}
+
+// ====================================================================================
+// QUERY BUILDER
+// ====================================================================================
+
+// Exports the builder runs compiled queries through
+const builderRunner = {
+    query,
+    fetchSingle,
+    fetchScalar,
+    insert,
+    update,
+    fail: (error, errorContext, defaultReturn, callback, options) =>
+        withPoolCheck(async () => { throw error; }, errorContext, defaultReturn, callback, options)
+};
+
+/**
+ * Start a fluent query on a table
+ * Chain where/join/orderBy/limit, then finish with get, first, value, count, insert,
+ * upsert, update, increment, decrement or delete
+ * @param {string} tableName - Table name (optionally `table AS alias`)
+ * @param {Object} [options] - Call options applied to every query of the builder
+ * @returns {Object|null} Builder handle, or null if the table name is invalid
+ */
+function table(tableName, options) {
+    try {
+        return global.sqlBuilder.createBuilder(tableName, builderRunner, options && typeof options === 'object' ? options : {});
+    } catch (error) {
+        console.error(`^1[ig.sql ERROR] ${error.message}^7`);
+        return null;
+    }
+}
+
+/**
+ * Apply pending schema migrations (untrusted callers only their own)
+ * @param {string} [resourceName] - Limit to a single resource (default: all resources)
+ * @param {Function} [callback] - Optional callback(success, applied)
+ * @returns {Promise<Object>} { success, applied, error? }
+ */
+async function migrate(resourceName, callback) {
+    return runMigrationTask(
+        'MIGRATE',
+        resourceName,
+        async () => ({ success: true, applied: await global.migrations.migrate(resourceName || undefined) }),
+        callback
+    );
+}
+
+/**
+ * Roll back the most recent migrations of a resource (untrusted callers only their own)
+ * @param {string} resourceName - Resource to roll back
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @param {Function} [callback] - Optional callback(success, reverted)
+ * @returns {Promise<Object>} { success, reverted, error? }
+ */
+async function rollback(resourceName, steps, callback) {
+    if (typeof steps === 'function' && callback === undefined) {
+        callback = steps;
+        steps = 1;
+    }
+    return runMigrationTask(
+        'ROLLBACK',
+        resourceName,
+        async () => ({ success: true, reverted: await global.migrations.rollback(resourceName, steps || 1) }),
+        callback
+    );
+}
+
+/**
+ * Get the applied/pending state of declared migrations (untrusted callers only their own)
+ * @param {string} [resourceName] - Limit to a single resource (default: all resources)
+ * @param {Function} [callback] - Optional callback(status)
+ * @returns {Promise<Array<Object>>} Migration status rows
+ */
+async function migrationStatus(resourceName, callback) {
+    return withPoolCheck(
+        async (opts) => {
+            global.sqlPermissions.checkMigrations('MIGRATION_STATUS', resourceName, opts[CALLER_RESOURCE]);
+            return await global.migrations.status(resourceName || undefined);
+        },
+        'MigrationStatus failed',
+        [],
+        callback
+    );
+}
+
+/**
+ * Shared wrapper for migrate/rollback: checks the caller may touch the target's
+ * migrations, reports failures and invokes callback(success, list)
+ */
+async function runMigrationTask(type, target, taskFn, callback) {
+    // Captured before the first await, while the invoking resource is still known
+    const resource = GetInvokingResource() || GetCurrentResourceName();
+    let result;
+    try {
+        global.sqlPermissions.checkMigrations(type, target || null, resource);
+        if (!global.pool || !global.pool.ready()) {
+            throw poolNotReadyError();
+        }
+        result = await taskFn();
+    } catch (error) {
+        global.migrations.report(error);
+        result = { success: false, applied: [], reverted: [], error: error.message };
+    }
+
+    if (callback && typeof callback === 'function') {
+        callback(result.success, result.applied || result.reverted);
+    }
+    return result;
+}
+
+/**
+ * Dump tables (schema and rows) to a file in the backup directory (mysql_backup_dir)
+ * @param {Object} [options] - { tables (default: all), format ('sql' or 'jsonl'), file, schema, data,
+ *                             chunkRows } plus the usual call options (connection, strict)
+ * @param {Function} [callback] - Optional callback(summary)
+ * @returns {Promise<Object|null>} { file, format, tables: [{ table, rows }], rows, bytes, duration },
+ *   null if the backup failed
+ */
+async function backup(options, callback) {
+    if (typeof options === 'function') {
+        [options, callback] = [{}, options];
+    }
+    return withPoolCheck(
+        async (opts) => await global.sqlBackup.backup(resolvePool(opts), opts, opts[CALLER_RESOURCE]),
+        'Backup failed',
+        null,
+        callback,
+        options && typeof options === 'object' ? options : {}
+    );
+}
+
+/**
+ * Replay a backup file from the backup directory, in chunked transactions
+ * @param {string} file - File name in mysql_backup_dir
+ * @param {Object} [options] - { format (default: from the extension), chunkRows } plus the usual
+ *                             call options (connection, strict)
+ * @param {Function} [callback] - Optional callback(summary)
+ * @returns {Promise<Object|null>} { file, format, statements, rows, chunks, duration },
+ *   null if the restore failed
+ */
+async function restore(file, options, callback) {
+    if (typeof options === 'function') {
+        [options, callback] = [{}, options];
+    }
+    return withPoolCheck(
+        async (opts) => await global.sqlBackup.restore(resolvePool(opts), file, opts, opts[CALLER_RESOURCE]),
+        'Restore failed',
+        null,
+        callback,
+        options && typeof options === 'object' ? options : {}
+    );
+}
+
+// ====================================================================================
+// Export all functions for use by other resources
+// ====================================================================================
+
+// Primary exports (ingenium.sql native API)
+global.exports('query', query);
+global.exports('fetchSingle', fetchSingle);
+global.exports('fetchScalar', fetchScalar);
+global.exports('insert', insert);
+global.exports('update', update);
+global.exports('transaction', transaction);
+global.exports('batch', batch);
+global.exports('bulkInsert', bulkInsert);
+global.exports('stream', stream);
+global.exports('beginTransaction', beginTransaction);
+global.exports('startTransaction', startTransaction);
+global.exports('prepareQuery', prepareQuery);
+global.exports('executePrepared', executePrepared);
+global.exports('releasePrepared', releasePrepared);
+global.exports('isReady', isReady);
+global.exports('awaitReady', awaitReady);
+global.exports('getStats', getStats);
+global.exports('getSlowQueries', getSlowQueries);
+global.exports('getAuditLog', getAuditLog);
+global.exports('getConnection', getConnection);
+global.exports('table', table);
+global.exports('migrate', migrate);
+global.exports('rollback', rollback);
+global.exports('migrationStatus', migrationStatus);
+global.exports('backup', backup);
+global.exports('restore', restore);
+
+// ====================================================================================
+// Compatibility exports for oxmysql and mysql-async
+// ====================================================================================
+global.exports('single', fetchSingle);        // oxmysql: single = fetchSingle
+global.exports('scalar', fetchScalar);        // oxmysql: scalar = fetchScalar
+global.exports('prepare', prepare);           // oxmysql: prepare (execute with parameter sets); prepare(name, query) registers
+global.exports('rawExecute', rawExecute);     // oxmysql: raw results
+global.exports('execute', execute);           // oxmysql/mysql-async: smart execute function
+global.exports('fetch', query);               // oxmysql: fetch = query
+global.exports('awaitConnection', () => awaitReady(0)); // oxmysql: resolves once connected
+global.exports('fetchAll', query);            // mysql-async: fetchAll = query
+global.exports('store', storeQuery);          // mysql-async: store returns the query text
+
+// oxmysql `<name>_async` exports; the exports above already return promises
+const ASYNC_EXPORTS = {
+    query, single: fetchSingle, scalar: fetchScalar, insert, update, transaction,
+    prepare, rawExecute, execute, fetch: query
+};
+for (const [name, fn] of Object.entries(ASYNC_EXPORTS)) {
+    global.exports(`${name}_async`, fn);
+}
+
+// mysql-async exports used by its MySQL.lua (MySQL.Async.* and MySQL.Sync.*)
+global.exports('mysql_execute', update);      // affected rows
+global.exports('mysql_fetch_all', query);
+global.exports('mysql_fetch_scalar', fetchScalar);
+global.exports('mysql_insert', insert);
+global.exports('mysql_transaction', transaction);
+global.exports('mysql_store', storeQuery);
+
+console.log('^2[ig.sql] Server exports registered (with oxmysql/mysql-async compatibility)^7');
+
+// ====================================================================================
+// Test Command - Check SQL Connection
+// ====================================================================================
+
+/**
+ * Register /sqlcheck command to test database connection
+ * Checks that the configured database (mysql_database or the connection string) exists
+ * Restricted: requires the command.sqlcheck ACE (always allowed from the server console)
+ */
+RegisterCommand('sqlcheck', async (source, args, rawCommand) => {
+    try {
+        const playerId = source;
+        
+        // Check if pool is ready
+        if (!global.pool || !global.pool.ready()) {
+            const message = '^1[SQL Check] Database connection pool is not ready^7';
+            console.log(message);
+            if (playerId > 0) {
+                emitNet('chat:addMessage', playerId, {
+                    color: [255, 0, 0],
+                    multiline: true,
+                    args: ['SQL Check', 'Database connection pool is not ready']
+                });
+            }
+            return;
+        }
+
+        // Test query to check if the configured database exists
+        const database = global.pool.config.database;
+        const testQuery = 'SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = ?';
+        
+        console.log('^3[SQL Check] Testing database connection...^7');
+        
+        const result = await query(testQuery, [database]);
+        
+        if (result && result.length > 0) {
+            const successMessage = `^2[SQL Check] SUCCESS: Database '${database}' exists and is accessible^7`;
+            console.log(successMessage);
+            console.log(`^2[SQL Check] Pool Stats: ${JSON.stringify(global.pool.getStats())}^7`);
+            
+            if (playerId > 0) {
+                emitNet('chat:addMessage', playerId, {
+                    color: [0, 255, 0],
+                    multiline: true,
+                    args: ['SQL Check', `✓ SUCCESS: Database '${database}' exists and is accessible`]
+                });
+            }
+        } else {
+            const notFoundMessage = `^3[SQL Check] WARNING: Database '${database}' does not exist^7`;
+            console.log(notFoundMessage);
+            
+            if (playerId > 0) {
+                emitNet('chat:addMessage', playerId, {
+                    color: [255, 165, 0],
+                    multiline: true,
+                    args: ['SQL Check', `⚠ WARNING: Database '${database}' does not exist`]
+                });
+            }
+        }
+    } catch (error) {
+        const errorMessage = `^1[SQL Check] ERROR: ${error.message}^7`;
+        console.error(errorMessage);
+        
+        if (source > 0) {
+            emitNet('chat:addMessage', source, {
+                color: [255, 0, 0],
+                multiline: true,
+                args: ['SQL Check', `✗ ERROR: ${error.message}`]
+            });
+        }
+    }
+}, true);
+
+console.log('^2[ingenium.sql] /sqlcheck command registered^7');
+
+// ====================================================================================
+// Migration Commands
+// ====================================================================================
+
+/**
+ * /sqlmigrate [resource] - apply pending migrations
+ * /sqlrollback <resource> [steps] - revert the latest migrations of a resource
+ * /sqlmigrations [resource] - list declared migrations and their state
+ * Restricted: requires the matching command.* ACE (always allowed from the server console)
+ */
+RegisterCommand('sqlmigrate', async (source, args) => {
+    const result = await migrate(args[0]);
+    if (result.success) {
+        console.log(`^2[SQL Migrations] ${result.applied.length} migration(s) applied^7`);
+    }
+}, true);
+
+RegisterCommand('sqlrollback', async (source, args) => {
+    if (!args[0]) {
+        console.log('^3[SQL Migrations] Usage: sqlrollback <resource> [steps]^7');
+        return;
+    }
+    const result = await rollback(args[0], parseInt(args[1]) || 1);
+    if (result.success) {
+        console.log(`^2[SQL Migrations] ${result.reverted.length} migration(s) rolled back^7`);
+    }
+}, true);
+
+RegisterCommand('sqlmigrations', async (source, args) => {
+    const status = await migrationStatus(args[0]);
+    if (status.length === 0) {
+        console.log('^3[SQL Migrations] No migrations declared^7');
+        return;
+    }
+    for (const row of status) {
+        const state = row.missing ? '^1missing file' : row.applied ? '^2applied' : '^3pending';
+        const changed = row.changed ? ' ^1(changed since applied)' : '';
+        console.log(`^7[SQL Migrations] ${row.resource} ${String(row.version).padStart(4, '0')} ${row.name} - ${state}${changed}^7`);
+    }
+}, true);
+
+console.log('^2[ingenium.sql] Migration commands registered^7');
+
+// ====================================================================================
+// Statistics Commands
+// ====================================================================================
+
+// sqltop sort keys -> accounting fields
+const TOP_SORT_FIELDS = {
+    time: 'totalTime',
+    count: 'queries',
+    avg: 'averageTime',
+    p95: 'p95',
+    p99: 'p99',
+    max: 'maxTime',
+    errors: 'errors',
+    rows: 'rows'
+};
+
+/**
+ * /sqltop [count] [time|count|avg|p95|p99|max|errors|rows] - resources and queries
+ * putting the most load on the database (default: top 10 by total time)
+ * Restricted: requires the command.sqltop ACE (always allowed from the server console)
+ */
+RegisterCommand('sqltop', (source, args) => {
+    const count = Math.max(1, parseInt(args[0]) || 10);
+    const sortKey = TOP_SORT_FIELDS[(args[1] || args[0] || '').toLowerCase()] ? (args[1] || args[0]).toLowerCase() : 'time';
+    const field = TOP_SORT_FIELDS[sortKey];
+    const minutes = Math.round((Date.now() - global.sqlAccounting.since) / 60000);
+
+    const resources = global.sqlAccounting.topResources(field).slice(0, count);
+    if (resources.length === 0) {
+        console.log('^3[SQL Top] No queries recorded yet^7');
+        return;
+    }
+
+    const ms = (value) => `${value.toFixed(1)}ms`.padStart(10);
+    console.log(`^5[SQL Top] Resources by ${sortKey} (last ${minutes} min)^7`);
+    console.log('^7  resource                  queries    errors      rows     total       avg       p95       p99^7');
+    for (const entry of resources) {
+        console.log(`^7  ${entry.resource.padEnd(24).slice(0, 24)} ${String(entry.queries).padStart(9)} ${String(entry.errors).padStart(9)} ${String(entry.rows).padStart(9)} ${ms(entry.totalTime)}${ms(entry.averageTime)}${ms(entry.p95)}${ms(entry.p99)}^7`);
+    }
+
+    console.log(`^5[SQL Top] Queries by ${sortKey}^7`);
+    for (const entry of global.sqlAccounting.topFingerprints(field).slice(0, count)) {
+        console.log(`^7  [${entry.resource}] ${entry.queries}x total ${entry.totalTime.toFixed(1)}ms avg ${entry.averageTime.toFixed(1)}ms p95 ${entry.p95.toFixed(1)}ms${entry.errors ? ` ^1${entry.errors} errors^7` : ''}^7`);
+        console.log(`^7      ${entry.fingerprint.length > 160 ? `${entry.fingerprint.slice(0, 160)}...` : entry.fingerprint}^7`);
+    }
+}, true);
+
+// ====================================================================================
+// Admin Commands
+// ====================================================================================
+
+// Rows printed by `sql query` and `sql processlist`
+const ADMIN_MAX_ROWS = 50;
+
+// Statement timeout of `sql query` when mysql_query_timeout is not set
+const ADMIN_QUERY_TIMEOUT = 10000;
+
+/**
+ * Print rows as an aligned console table (numbers right-aligned, long cells cut)
+ * @param {Array<string>} columns - Keys of the rows, used as headers
+ * @param {Array<Object>} rows - Rows to print
+ * @param {number} [maxWidth] - Longest cell in characters
+ */
+function printTable(columns, rows, maxWidth = 60) {
+    const format = (value) => {
+        let text;
+        if (value === null || value === undefined) {
+            text = 'NULL';
+        } else if (Buffer.isBuffer(value)) {
+            text = `<${value.length} bytes>`;
+        } else if (value instanceof Date) {
+            text = value.toISOString();
+        } else if (typeof value === 'object') {
+            text = JSON.stringify(value);
+        } else {
+            text = String(value);
+        }
+        text = text.replace(/\s+/g, ' ');
+        return text.length > maxWidth ? `${text.slice(0, maxWidth - 3)}...` : text;
+    };
+    const cells = rows.map((row) => columns.map((column) => format(row[column])));
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((line) => line[index].length)));
+    const numeric = columns.map((column) => rows.length > 0 && rows.every((row) => typeof row[column] === 'number'));
+    const line = (values) => values
+        .map((value, index) => (numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index])))
+        .join('  ')
+        .trimEnd();
+
+    console.log(`^7  ${line(columns)}^7`);
+    console.log(`^7  ${widths.map((width) => '-'.repeat(width)).join('  ')}^7`);
+    for (const values of cells) {
+        console.log(`^7  ${line(values)}^7`);
+    }
+}
+
+/**
+ * Connection by name for an admin command
+ * @throws {Error} For an unknown name
+ */
+function adminPool(name) {
+    const pool = findPool(name);
+    if (!pool) {
+        throw new Error(`Unknown connection '${name}'`);
+    }
+    return pool;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * `sql` subcommands: { usage, description, run(args, rawCommand) }
+ */
+const SQL_COMMANDS = {
+    status: {
+        usage: 'sql status',
+        description: 'Connection state, pool connections and priority lanes',
+        run() {
+            const connections = [];
+            const pools = [];
+            const lanes = [];
+            for (const [name, pool] of global.pools) {
+                const stats = pool.getStats();
+                connections.push({
+                    connection: name,
+                    state: stats.connection.state,
+                    ready: stats.isReady ? 'yes' : 'no',
+                    since: new Date(stats.connection.since).toISOString(),
+                    database: `${pool.config.database}@${pool.config.host}:${pool.config.port}`,
+                    lastError: stats.connection.lastError || ''
+                });
+                for (const usage of pool.usage()) {
+                    pools.push({ connection: name, ...usage });
+                }
+                for (const [lane, entry] of Object.entries(stats.queue.lanes)) {
+                    lanes.push({ connection: name, lane, active: entry.active, queued: entry.queued, limit: entry.limit, started: entry.started, rejected: entry.rejected, avgWaitMs: entry.averageWait, maxWaitMs: entry.maxWait });
+                }
+            }
+            console.log('^5[SQL Admin] Connections^7');
+            printTable(['connection', 'state', 'ready', 'since', 'database', 'lastError'], connections);
+            console.log('^5[SQL Admin] Pools^7');
+            printTable(['connection', 'pool', 'inUse', 'idle', 'total', 'limit', 'waiting'], pools);
+            console.log('^5[SQL Admin] Priority lanes^7');
+            printTable(['connection', 'lane', 'active', 'queued', 'limit', 'started', 'rejected', 'avgWaitMs', 'maxWaitMs'], lanes);
+        }
+    },
+
+    stats: {
+        usage: 'sql stats [resource]',
+        description: 'Query counters per connection and resource, or the top queries of one resource',
+        run([resource]) {
+            const minutes = Math.round((Date.now() - global.sqlAccounting.since) / 60000);
+            if (resource) {
+                const entry = global.sqlAccounting.topResources().find((candidate) => candidate.resource === resource);
+                if (!entry) {
+                    console.log(`^3[SQL Admin] No queries recorded for ${resource}^7`);
+                    return;
+                }
+                console.log(`^5[SQL Admin] ${resource} (last ${minutes} min)^7`);
+                printTable(['queries', 'errors', 'rows', 'totalTime', 'averageTime', 'p50', 'p95', 'p99', 'maxTime'], [entry]);
+                console.log(`^5[SQL Admin] Top queries of ${resource} by total time^7`);
+                const queries = global.sqlAccounting.topFingerprints().filter((candidate) => candidate.resource === resource).slice(0, 10);
+                printTable(['queries', 'errors', 'totalTime', 'averageTime', 'p95', 'fingerprint'], queries, 100);
+                return;
+            }
+
+            const connections = [...global.pools].map(([name, pool]) => {
+                const stats = pool.getStats();
+                return { connection: name, queries: stats.totalQueries, failed: stats.failedQueries, slow: stats.slowQueries, timeouts: stats.timeouts, avgMs: round(stats.averageTime) };
+            });
+            console.log('^5[SQL Admin] Connections^7');
+            printTable(['connection', 'queries', 'failed', 'slow', 'timeouts', 'avgMs'], connections);
+            console.log(`^5[SQL Admin] Resources by total time (last ${minutes} min)^7`);
+            printTable(['resource', 'queries', 'errors', 'rows', 'totalTime', 'averageTime', 'p95', 'p99'], global.sqlAccounting.topResources().slice(0, 15));
+        }
+    },
+
+    slow: {
+        usage: 'sql slow [count] [resource]',
+        description: 'Most recent slow queries',
+        async run(args) {
+            const count = parseInt(args[0]);
+            const resource = Number.isNaN(count) ? args[0] : args[1];
+            const records = await global.sqlSlowLog.search({ limit: Number.isNaN(count) ? 10 : Math.max(1, count), resource });
+            if (records.length === 0) {
+                console.log('^3[SQL Admin] No slow queries recorded^7');
+                return;
+            }
+            printTable(['time', 'resource', 'connection', 'duration', 'query'], records, 100);
+        }
+    },
+
+    processlist: {
+        usage: 'sql processlist [all] [connection]',
+        description: 'Statements running on the server (`all` includes idle connections)',
+        async run(args) {
+            const all = args[0] === 'all';
+            const pool = adminPool(all ? args[1] : args[0]);
+            const rows = await pool.queryOutsidePool(
+                `SELECT ID AS id, USER AS user, HOST AS host, DB AS db, COMMAND AS command, TIME AS time, STATE AS state, INFO AS info
+                 FROM information_schema.PROCESSLIST${all ? '' : " WHERE COMMAND <> 'Sleep'"} ORDER BY TIME DESC`
+            );
+            for (const row of rows) {
+                row.info = global.sqlAudit.redactQuery(row.info);
+            }
+            printTable(['id', 'user', 'host', 'db', 'command', 'time', 'state', 'info'], rows.slice(0, ADMIN_MAX_ROWS), 80);
+            if (rows.length > ADMIN_MAX_ROWS) {
+                console.log(`^3[SQL Admin] ${rows.length - ADMIN_MAX_ROWS} more not shown^7`);
+            }
+        }
+    },
+
+    kill: {
+        usage: 'sql kill <id> [connection]',
+        description: 'Stop the statement running on a server thread (KILL QUERY)',
+        async run(args) {
+            const threadId = parseInt(args[0]);
+            if (!(threadId > 0)) {
+                throw new Error('Usage: sql kill <id> [connection] (ids are listed by sql processlist)');
+            }
+            await adminPool(args[1]).killQuery(threadId);
+            console.log(`^2[SQL Admin] Killed the query on thread ${threadId}^7`);
+        }
+    },
+
+    reconnect: {
+        usage: 'sql reconnect [connection]',
+        description: 'Replace the connection pool with fresh connections',
+        async run(args) {
+            const pool = adminPool(args[0]);
+            console.log(`^3[SQL Admin] Reconnecting ${pool.name}...^7`);
+            await pool.reconnect();
+            console.log(`^2[SQL Admin] ${pool.name} reconnected; old connections closed^7`);
+        }
+    },
+
+    'reset-stats': {
+        usage: 'sql reset-stats',
+        description: 'Zero query, lane, retry, cache, permission, per-resource and Prometheus counters',
+        run() {
+            for (const pool of global.pools.values()) {
+                pool.resetStats();
+            }
+            global.sqlAccounting.reset();
+            global.sqlMetrics.reset();
+            global.sqlRetry.resetStats();
+            global.sqlCache.resetStats();
+            global.sqlPermissions.resetStats();
+            console.log('^2[SQL Admin] Statistics reset^7');
+        }
+    },
+
+    backup: {
+        usage: 'sql backup [sql|jsonl] [table ...]',
+        description: 'Dump tables (default: all) to a file in the backup directory',
+        async run(args) {
+            const format = ['sql', 'jsonl'].includes((args[0] || '').toLowerCase()) ? args[0].toLowerCase() : undefined;
+            const tables = format ? args.slice(1) : args;
+            const summary = await global.sqlBackup.backup(adminPool(), { format, tables: tables.length > 0 ? tables : undefined });
+            printTable(['table', 'rows'], summary.tables);
+            console.log(`^2[SQL Admin] Wrote ${summary.file} (${(summary.bytes / 1024 / 1024).toFixed(2)} MB)^7`);
+        }
+    },
+
+    restore: {
+        usage: 'sql restore <file>',
+        description: 'Replay a backup file (replaces the tables it contains)',
+        async run(args) {
+            if (!args[0]) {
+                throw new Error('Usage: sql restore <file> (files are listed by sql backups)');
+            }
+            await global.sqlBackup.restore(adminPool(), args[0]);
+        }
+    },
+
+    backups: {
+        usage: 'sql backups',
+        description: 'List the files in the backup directory',
+        async run() {
+            const files = await global.sqlBackup.list();
+            if (files.length === 0) {
+                console.log('^3[SQL Admin] No backups found^7');
+                return;
+            }
+            printTable(['file', 'format', 'size', 'modified'], files, 80);
+        }
+    },
+
+    query: {
+        usage: 'sql query <statement>',
+        description: `Run a read-only statement and print up to ${ADMIN_MAX_ROWS} rows`,
+        async run(args, rawCommand) {
+            const match = /^\s*\S+\s+query\s+([\s\S]+)$/i.exec(rawCommand || '');
+            const sqlQuery = match ? match[1].trim() : '';
+            if (!sqlQuery) {
+                throw new Error('Usage: sql query <statement>');
+            }
+            if (global.sqlRetry.statementKind(sqlQuery) !== 'read') {
+                throw new Error('sql query only runs read-only statements (SELECT, SHOW, DESCRIBE, EXPLAIN)');
+            }
+
+            // Inside a READ ONLY transaction, so a function with side effects cannot write either
+            const pool = adminPool();
+            const connection = await pool.getConnection('high');
+            const startTime = process.hrtime.bigint();
+            let rows;
+            try {
+                await connection.query('START TRANSACTION READ ONLY');
+                rows = await executeOnConnection(connection, pool.name, sqlQuery, [], GetCurrentResourceName(), pool.queryTimeout || ADMIN_QUERY_TIMEOUT);
+            } finally {
+                await connection.query('ROLLBACK').catch(() => {});
+                connection.release();
+            }
+            const duration = Number(process.hrtime.bigint() - startTime) / 1000000;
+
+            if (!Array.isArray(rows)) {
+                console.log(`^2[SQL Admin] OK (${duration.toFixed(1)}ms)^7`);
+                return;
+            }
+            const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+            if (columns.length > 0) {
+                printTable(columns, rows.slice(0, ADMIN_MAX_ROWS));
+            }
+            const hidden = rows.length > ADMIN_MAX_ROWS ? `, first ${ADMIN_MAX_ROWS} shown` : '';
+            console.log(`^2[SQL Admin] ${rows.length} row(s)${hidden} (${duration.toFixed(1)}ms)^7`);
+        }
+    }
+};
+
+/**
+ * /sql <subcommand> - database inspection and pool control (see SQL_COMMANDS)
+ * Output goes to the server console
+ * Restricted: requires the command.sql ACE (always allowed from the server console)
+ */
+RegisterCommand('sql', async (source, args, rawCommand) => {
+    const name = (args[0] || '').toLowerCase();
+    const command = SQL_COMMANDS[name];
+    if (!command) {
+        console.log('^5[SQL Admin] Commands:^7');
+        for (const entry of Object.values(SQL_COMMANDS)) {
+            console.log(`^7  ${entry.usage.padEnd(36)} ${entry.description}^7`);
+        }
+        return;
+    }
+    try {
+        await command.run(args.slice(1), rawCommand);
+    } catch (error) {
+        console.error(`^1[SQL Admin] ${name} failed: ${global.sqlAudit.redactText(error.message)}^7`);
+    }
+}, true);
+
+console.log('^2[ingenium.sql] Admin commands registered (sql)^7');